@@ -0,0 +1,150 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const os = require('node:os');
+
+const { runAudit, checkNoAny, checkSecrets, checkDocker, checkConsole, checkLockfile, checkDepRanges, checkAdvisories, checkClientEnv, checkNextHardening, checkTsStrict } = require('../api');
+
+// ─── Helpers ─────────────────────────────────────────────────
+
+let tmpDirs = [];
+
+function createFixture() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sk-api-'));
+  tmpDirs.push(dir);
+  return dir;
+}
+
+function writeFile(dir, relativePath, content) {
+  const fullPath = path.join(dir, relativePath);
+  fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+  fs.writeFileSync(fullPath, content);
+}
+
+afterEach(() => {
+  for (const dir of tmpDirs) {
+    try { fs.rmSync(dir, { recursive: true, force: true }); } catch {}
+  }
+  tmpDirs = [];
+});
+
+// ═════════════════════════════════════════════════════════════
+// runAudit
+// ═════════════════════════════════════════════════════════════
+
+describe('runAudit', () => {
+  it('resolves to the same report shape as --json', async () => {
+    const dir = createFixture();
+    writeFile(dir, 'app.ts', 'const x: any = 1;\n');
+    writeFile(dir, 'package-lock.json', '{}');
+
+    const report = await runAudit({ cwd: dir, cache: false });
+    assert.deepEqual(report.results.map(r => r.gate), ['NO_ANY', 'SECRETS', 'DOCKER', 'CONSOLE', 'LOCKFILE', 'DEP_RANGES', 'ADVISORIES', 'CLIENT_ENV', 'NEXT_HARDENING', 'TS_STRICT']);
+    assert.equal(report.meta.path, dir);
+    assert.equal(report.summary.total, 10);
+    assert.equal(report.summary.failed, 1);
+    assert.equal(report.success, false);
+    assert.deepEqual(report.results[0].findings[0], { file: 'app.ts', line: 1, column: 10, rule: 'explicit-any', snippet: 'const x: any = 1;' });
+  });
+
+  it('runs only the requested gates', async () => {
+    const dir = createFixture();
+    writeFile(dir, 'app.js', 'console.log("hi");\n');
+
+    const report = await runAudit({ cwd: dir, gates: ['CONSOLE', 'LOCKFILE'], cache: false });
+    assert.deepEqual(report.results.map(r => r.gate), ['CONSOLE', 'LOCKFILE']);
+    assert.deepEqual(Object.keys(report.meta.timings.gates).sort(), ['CONSOLE', 'LOCKFILE']);
+    assert.equal(report.summary.failed, 2);
+  });
+
+  it('appends extra ignore patterns to the defaults', async () => {
+    const dir = createFixture();
+    writeFile(dir, 'generated/api.ts', 'export const x: any = 1;\n');
+    writeFile(dir, 'src/app.ts', 'export const y = 1;\n');
+
+    const report = await runAudit({ cwd: dir, gates: ['NO_ANY'], ignore: ['generated/**'], cache: false });
+    assert.equal(report.results[0].status, 'PASS');
+  });
+
+  it('rejects unknown gates', async () => {
+    await assert.rejects(runAudit({ cwd: createFixture(), gates: ['NOPE'] }), /Unknown gate: NOPE/);
+  });
+
+  it('rejects a malformed baseline instead of exiting', async () => {
+    const dir = createFixture();
+    writeFile(dir, '.strictkit-baseline.json', '{ not json');
+    await assert.rejects(runAudit({ cwd: dir }), /Could not read baseline/);
+    const report = await runAudit({ cwd: dir, baseline: false, cache: false });
+    assert.equal(report.meta.baseline, undefined);
+  });
+
+  it('adds a section per workspace package and filters by package', async () => {
+    const dir = createFixture();
+    writeFile(dir, 'package.json', JSON.stringify({ name: 'mono', workspaces: ['packages/*'] }));
+    writeFile(dir, 'packages/ui/package.json', JSON.stringify({ name: '@acme/ui' }));
+    writeFile(dir, 'packages/ui/button.js', 'console.log("render");\n');
+    writeFile(dir, 'packages/core/package.json', JSON.stringify({ name: '@acme/core' }));
+
+    const report = await runAudit({ cwd: dir, gates: ['CONSOLE'], cache: false });
+    assert.deepEqual(report.packages.map(p => [p.name, p.path, p.success]), [['mono', '.', true], ['@acme/core', 'packages/core', true], ['@acme/ui', 'packages/ui', false]]);
+    assert.equal(report.packages[2].results[0].findings[0].file, 'packages/ui/button.js');
+
+    const core = await runAudit({ cwd: dir, gates: ['CONSOLE'], package: '@acme/core', cache: false });
+    assert.equal(core.results[0].status, 'PASS');
+    assert.equal(core.success, true);
+    await assert.rejects(runAudit({ cwd: dir, package: 'nope' }), /Unknown package: nope/);
+  });
+
+  it('applies inline suppressions unless disabled', async () => {
+    const dir = createFixture();
+    writeFile(dir, 'app.js', '// strictkit-ignore-next-line CONSOLE -- startup banner\nconsole.log("hi");\n');
+
+    const suppressed = await runAudit({ cwd: dir, gates: ['CONSOLE'], cache: false });
+    assert.equal(suppressed.results[0].status, 'PASS');
+    assert.equal(suppressed.summary.suppressed, 1);
+
+    const strict = await runAudit({ cwd: dir, gates: ['CONSOLE'], suppressions: false, cache: false });
+    assert.equal(strict.results[0].status, 'FAIL');
+  });
+});
+
+// ═════════════════════════════════════════════════════════════
+// Gate functions
+// ═════════════════════════════════════════════════════════════
+
+describe('gate functions', () => {
+  it('each resolves to a single gate result', async () => {
+    const dir = createFixture();
+    writeFile(dir, 'app.ts', 'const x: any = 1;\n');
+    writeFile(dir, 'config.js', 'const key = "sk_live_' + 'a'.repeat(24) + '";\n');
+    writeFile(dir, 'Dockerfile', 'FROM node:latest\n');
+    writeFile(dir, 'log.js', 'console.log("x");\n');
+
+    const options = { cwd: dir, cache: false };
+    assert.equal((await checkNoAny(options)).status, 'FAIL');
+    assert.equal((await checkSecrets(options)).status, 'FAIL');
+    assert.deepEqual((await checkDocker(options)).findings.map(f => f.rule), ['root-user', 'unpinned-image']);
+    assert.equal((await checkConsole(options)).findings[0].file, 'log.js');
+
+    assert.equal((await checkClientEnv(options)).message, 'Not a Next.js project.');
+    assert.equal((await checkNextHardening(options)).message, 'Not a Next.js project.');
+    assert.equal((await checkTsStrict(options)).message, 'No tsconfig.json found.');
+
+    const lockfile = await checkLockfile(options);
+    assert.deepEqual(lockfile, { gate: 'LOCKFILE', status: 'FAIL', message: 'No lockfile found.', findings: [] });
+  });
+
+  it('passes gate options through', async () => {
+    const dir = createFixture();
+    writeFile(dir, 'package.json', JSON.stringify({ dependencies: { react: '^18.2.0' } }));
+
+    writeFile(dir, 'Dockerfile', 'FROM node:20-alpine\nUSER node\n');
+    assert.equal((await checkDocker({ cwd: dir })).status, 'PASS');
+    assert.equal((await checkDocker({ cwd: dir, requireDigest: true })).findings[0].rule, 'missing-digest');
+    assert.equal((await checkDepRanges({ cwd: dir })).status, 'PASS');
+    assert.equal((await checkDepRanges({ cwd: dir, exactVersions: true })).findings[0].rule, 'non-exact-version');
+    assert.equal((await checkAdvisories({ cwd: dir })).message, 'No advisory database found.');
+    await assert.rejects(checkAdvisories({ cwd: dir, auditLevel: 'severe' }), /Unknown audit level: severe/);
+  });
+});
@@ -0,0 +1,836 @@
+const fs = require('fs');
+const path = require('path');
+const { performance } = require('perf_hooks');
+const { makeSnippet } = require('./utils/findings');
+const { scanProject } = require('./utils/scanner');
+const { ANALYZERS } = require('./utils/analyzers');
+const { RULES } = require('./utils/rules');
+const { DEFAULT_BASELINE_FILE, loadBaseline, applyBaseline } = require('./utils/baseline');
+const { parseSuppressions, findSuppression } = require('./utils/suppressions');
+const { loadCache, saveCache } = require('./utils/cache');
+const { LOCKFILES, auditLockfiles, lockedPackages } = require('./utils/lockfile');
+const { auditRanges } = require('./utils/ranges');
+const { findWorkspaces } = require('./utils/manifests');
+const { readIgnoreFiles, createIgnoreMatcher } = require('./utils/ignore');
+const { auditDockerfiles } = require('./utils/dockerfile');
+const { auditDeployments } = require('./utils/deployments');
+const { isNextProject } = require('./utils/next');
+const { findNextApps, auditNextConfigs, ADVISORY_RULES: NEXT_ADVISORY_RULES } = require('./utils/next-config');
+const { auditTsconfigs, ADVISORY_RULES: TSCONFIG_ADVISORY_RULES } = require('./utils/tsconfig');
+const { typeCheckProject } = require('./utils/type-check');
+const { SEVERITIES, loadAdvisories, matchAdvisories, advisorySeverity, fixedVersion } = require('./utils/advisories');
+
+const VERSION = require('./package.json').version;
+const GATE_NAMES = RULES.map(r => r.gate);
+const DEFAULT_IGNORE = ['**/node_modules/**', '**/dist/**', '**/.next/**', '**/coverage/**', '**/.git/**', '**/*.min.js'];
+
+const toPosix = f => f.split(path.sep).join('/');
+
+// --- SCOPE ---
+
+function inScope(ctx, file) {
+  return !ctx.changedFiles || ctx.changedFiles.has(toPosix(file));
+}
+
+function inChangedLines(ctx, finding) {
+  if (!ctx.changedFiles) return true;
+  const ranges = ctx.changedFiles.get(toPosix(finding.file));
+  if (!ranges || !finding.line) return true;
+  return ranges.some(([start, end]) => finding.line >= start && finding.line <= end);
+}
+
+// --- WORKSPACES ---
+// In a npm/yarn/pnpm workspace every package (and the root, for what lies
+// outside them) is also audited as its own unit: file gates see only the
+// unit's files, repo-level gates run from the unit's directory. Finding
+// paths stay relative to the workspace root.
+
+function inUnit(ctx, file) {
+  if (!ctx.unit) return true;
+  const posix = toPosix(file);
+  const under = dir => dir === '.' || posix.startsWith(`${dir}/`);
+  return under(ctx.unit.dir) && !ctx.unit.nested.some(under);
+}
+
+// Where repo-level gates run from, and what they skip there: the
+// directories of packages nested inside the unit.
+function unitRoot(ctx) {
+  return ctx.unit ? path.join(ctx.cwd, ctx.unit.dir) : ctx.cwd;
+}
+
+function unitIgnore(ctx) {
+  if (!ctx.unit) return ctx.ignore;
+  return [...ctx.ignore, ...ctx.unit.nested.map(dir => `${path.posix.relative(ctx.unit.dir, dir)}/**`)];
+}
+
+// The project's ignore files (.gitignore, .strictkitignore) as a matcher over
+// unit-relative paths, for repo-level gates that find their own files.
+function unitIgnored(ctx) {
+  return file => ctx.ignoreFiles.isIgnored(ctx.unit ? rootRelative(ctx, file) : file);
+}
+
+// Unit-relative paths back to workspace-root-relative ones.
+const rootRelative = (ctx, file) => path.posix.normalize(path.posix.join(ctx.unit.dir, file));
+
+function rebase(ctx, findings) {
+  if (!ctx.unit || ctx.unit.dir === '.') return findings;
+  return findings.map(f => ({ ...f, file: rootRelative(ctx, f.file) }));
+}
+
+function rebaseFiles(ctx, files) {
+  if (!ctx.unit || ctx.unit.dir === '.') return files;
+  return files.map(file => rootRelative(ctx, file));
+}
+
+function withNested(units, unit) {
+  const nested = units.filter(u => u !== unit && (unit.dir === '.' || u.dir.startsWith(`${unit.dir}/`))).map(u => u.dir);
+  return { ...unit, nested };
+}
+
+// The baseline entries of files in the unit, so other units' entries don't count as fixed.
+function unitBaseline(ctx) {
+  if (!ctx.baseline || !ctx.unit) return ctx.baseline;
+  const gates = {};
+  for (const [gate, entry] of Object.entries(ctx.baseline.gates)) {
+    gates[gate] = { ...entry, files: Object.fromEntries(Object.entries(entry.files).filter(([file]) => inUnit(ctx, file))) };
+  }
+  return { ...ctx.baseline, gates };
+}
+
+// A view of the context that audits one unit, sharing the scan and caches.
+function unitContext(ctx, unit) {
+  const view = { ...ctx, unit: withNested(ctx.units, unit), timings: { gates: {} }, scanned: {} };
+  view.baseline = unitBaseline(view);
+  return view;
+}
+
+// --- GATE CHECKS ---
+// Each check takes a prepared context (see createContext) and returns the
+// raw gate result, before suppressions and baseline are applied.
+
+// What each gate looked at, reported as meta.scanned.
+function scanned(ctx, gate, files) {
+  ctx.scanned[gate] = files.map(toPosix);
+}
+
+function fileGate(ctx, gate) {
+  const entry = ctx.scan.byGate[gate];
+  ctx.timings.gates[gate] = Math.round(entry.ms);
+  if (entry.error) return { error: entry.error };
+  const files = entry.files.filter(f => inUnit(ctx, f));
+  scanned(ctx, gate, files);
+  const findings = entry.findings.filter(f => inUnit(ctx, f.file) && inChangedLines(ctx, f));
+  return { files, findings };
+}
+
+function timed(ctx, gate, fn) {
+  const start = performance.now();
+  const result = fn();
+  ctx.timings.gates[gate] = Math.round(performance.now() - start);
+  return result;
+}
+
+// `message` may be a function of the findings, so the message can be restated
+// for the findings that remain once suppressions are applied.
+function result(gate, status, message, findings = []) {
+  if (typeof message !== 'function') return { gate, status, message, findings };
+  const res = { gate, status, message: message(findings), findings };
+  return Object.defineProperty(res, 'describe', { value: message });
+}
+
+const countFiles = findings => new Set(findings.map(f => f.file)).size;
+
+const LOCKFILE_PROBLEMS = [
+  ['invalid-lockfile', 'unreadable lockfile(s)'],
+  ['invalid-manifest', 'unreadable package.json'],
+  ['lockfile-out-of-sync', 'out of sync with package.json'],
+  ['non-registry-source', 'non-registry source(s)'],
+  ['missing-integrity', 'missing integrity hash(es)']
+];
+
+// "Competing lockfiles: package-lock.json, yarn.lock; 2 out of sync with package.json"
+function describeLockfileFindings(findings) {
+  const parts = [];
+  const competing = findings.filter(f => f.rule === 'competing-lockfiles').map(f => f.file);
+  if (competing.length > 0) parts.push(`Competing lockfiles: ${competing.join(', ')}`);
+  for (const [rule, label] of LOCKFILE_PROBLEMS) {
+    const count = findings.filter(f => f.rule === rule).length;
+    if (count > 0) parts.push(`${count} ${label}`);
+  }
+  return parts.join('; ');
+}
+
+const DOCKER_PROBLEMS = [
+  ['missing-digest', 'image(s) without a digest'],
+  ['root-user', 'Dockerfile(s) running as root'],
+  ['invalid-yaml', 'unreadable compose file(s)'],
+  ['remote-add', 'remote ADD(s) without --checksum'],
+  ['copy-without-dockerignore', 'build context COPY(s) without .dockerignore']
+];
+
+// "Unpinned image: node; 1 Dockerfile(s) running as root"
+function describeDockerFindings(findings) {
+  const parts = [];
+  const unpinned = findings.find(f => f.rule === 'unpinned-image');
+  if (unpinned) parts.push(`Unpinned image: ${unpinned.image}`);
+  for (const [rule, label] of DOCKER_PROBLEMS) {
+    const count = findings.filter(f => f.rule === rule).length;
+    if (count > 0) parts.push(`${count} ${label}`);
+  }
+  return parts.join('; ');
+}
+
+// "3 console.log(), 1 console.debug(), 1 debugger"
+function describeConsoleFindings(findings) {
+  const counts = new Map();
+  for (const f of findings) counts.set(f.rule, (counts.get(f.rule) || 0) + 1);
+  return [...counts].map(([rule, count]) => `${count} ${rule === 'debugger' ? rule : `${rule}()`}`).join(', ');
+}
+
+const HARDENING_PROBLEMS = [
+  ['missing-csp', 'app(s) without a Content-Security-Policy'],
+  ['missing-hsts', 'app(s) without Strict-Transport-Security'],
+  ['missing-frame-protection', 'app(s) without X-Frame-Options or frame-ancestors'],
+  ['wildcard-remote-pattern', 'wildcard image host(s)'],
+  ['powered-by-header', 'app(s) sending X-Powered-By'],
+  ['react-strict-mode', 'app(s) without reactStrictMode'],
+  ['unevaluated-config', 'config(s) that could not be evaluated']
+];
+
+const TSCONFIG_PROBLEMS = [
+  ['strict-disabled', 'tsconfig(s) without strict'],
+  ['strict-flag-disabled', 'strict flag(s) turned off'],
+  ['missing-strict-flag', 'missing strict flag(s)'],
+  ['unchecked-js', 'tsconfig(s) compiling unchecked JavaScript'],
+  ['skip-lib-check', 'tsconfig(s) skipping project declaration files'],
+  ['invalid-tsconfig', 'unreadable tsconfig(s)']
+];
+
+// "1 app(s) without a Content-Security-Policy; 2 wildcard image host(s)"
+function describeCounts(problems, findings) {
+  return problems
+    .map(([rule, label]) => [findings.filter(f => f.rule === rule).length, label])
+    .filter(([count]) => count > 0)
+    .map(([count, label]) => `${count} ${label}`)
+    .join('; ');
+}
+
+// --deep: the type checker finds the `any` nobody wrote down, and the
+// comments and `!` assertions that switch checking off.
+// Workspace units share one type-check of every scanned file.
+function deepNoAny(ctx, noAny) {
+  const start = performance.now();
+  try {
+    if (!ctx.memo.typeCheck) {
+      const files = ctx.scan.byGate.NO_ANY.files.map(toPosix);
+      ctx.memo.typeCheck = typeCheckProject(ctx.cwd, { ignore: ctx.ignore, isIgnored: ctx.ignoreFiles.isIgnored, files });
+    }
+  } catch (e) {
+    return result('NO_ANY', 'WARN', 'Could not type-check the project.');
+  } finally {
+    ctx.timings.gates.NO_ANY += Math.round(performance.now() - start);
+  }
+
+  const deep = ctx.memo.typeCheck.findings.filter(f => inUnit(ctx, f.file) && inChangedLines(ctx, f));
+  const findings = [...noAny.findings, ...deep]
+    .sort((a, b) => (a.file < b.file ? -1 : a.file > b.file ? 1 : a.line - b.line || a.column - b.column));
+  if (findings.length === 0) return result('NO_ANY', 'PASS', `Strict typing enforced across ${noAny.files.length} type-checked files.`);
+  return result('NO_ANY', 'FAIL', found => {
+    const anys = found.filter(f => f.rule === 'explicit-any' || f.rule === 'implicit-any').length;
+    return `Found ${anys} usages of 'any' and ${found.length - anys} type-check escape(s) in ${countFiles(found)} file(s).`;
+  }, findings);
+}
+
+// A `pages/` directory is only the Pages Router inside a Next.js app: keep the
+// client-only findings the analyzer flagged there (`pagesRouter`) just in apps.
+function pagesRouterFindings(ctx, findings) {
+  if (!findings.some(f => f.pagesRouter)) return findings;
+  const apps = rebaseFiles(ctx, findNextApps(unitRoot(ctx), { ignore: unitIgnore(ctx), isIgnored: unitIgnored(ctx), workspaces: !ctx.unit })
+    .map(app => app.dir));
+  const inApp = file => apps.some(dir => dir === '.' || file.startsWith(`${dir}/`));
+  return findings
+    .filter(f => !f.pagesRouter || inApp(f.file))
+    .map(({ pagesRouter, ...f }) => f);
+}
+
+const ownLockfile = ctx => LOCKFILES.some(f => fs.existsSync(path.join(unitRoot(ctx), f)));
+
+// A workspace package with no lockfile of its own is locked by the root's.
+function lockfileContext(ctx) {
+  if (!ctx.unit || ctx.unit.dir === '.' || ownLockfile(ctx)) {
+    const { present, findings } = auditLockfiles(unitRoot(ctx));
+    return { present: rebaseFiles(ctx, present), findings: rebase(ctx, findings) };
+  }
+  return auditLockfiles(ctx.cwd, { importer: ctx.unit.dir });
+}
+
+// The whole-workspace audit checks what each package's audit checks, so a
+// baseline taken from it covers the packages too: the root lockfile against
+// every importer, plus the lockfiles packages keep of their own.
+function workspaceLockRoots(ctx) {
+  if (!ctx.units || ctx.unit) return [ctx];
+  return [ctx, ...ctx.units.filter(u => u.dir !== '.').map(u => unitContext(ctx, u))];
+}
+
+function workspaceLockfiles(ctx) {
+  const present = new Set();
+  const findings = new Map();
+  for (const view of workspaceLockRoots(ctx)) {
+    const audit = lockfileContext(view);
+    audit.present.forEach(f => present.add(f));
+    // Lockfile-wide findings (integrity, sources) come back for every importer.
+    for (const f of audit.findings) findings.set(`${f.file}\0${f.line}\0${f.rule}\0${f.snippet}`, f);
+  }
+  return { present: [...present].sort(), findings: [...findings.values()] };
+}
+
+const CHECKS = {
+  // --- GATE 1: THE NO-ANY POLICY (AST-powered) ---
+  NO_ANY(ctx) {
+    const noAny = fileGate(ctx, 'NO_ANY');
+    if (noAny.error) return result('NO_ANY', 'WARN', 'Could not complete TypeScript scan.');
+    if (ctx.deep && noAny.files.length > 0) return deepNoAny(ctx, noAny);
+    if (noAny.findings.length > 0) {
+      return result('NO_ANY', 'FAIL', found => `Found ${found.length} usages of 'any' in ${countFiles(found)} file(s).`, noAny.findings);
+    }
+    if (noAny.files.length === 0 && ctx.changedFiles) return result('NO_ANY', 'PASS', 'No changed TypeScript files.');
+    if (noAny.files.length === 0) return result('NO_ANY', 'WARN', 'No TypeScript files found.');
+    return result('NO_ANY', 'PASS', `Strict typing enforced across ${noAny.files.length} files.`);
+  },
+
+  // --- GATE 2: SECRET SENTINEL ---
+  SECRETS(ctx) {
+    const secrets = fileGate(ctx, 'SECRETS');
+    if (secrets.error) return result('SECRETS', 'WARN', 'Scan failed.');
+    if (!ctx.history) {
+      if (secrets.findings.length > 0) return result('SECRETS', 'FAIL', found => `Secrets detected in ${countFiles(found)} file(s).`, secrets.findings);
+      return result('SECRETS', 'PASS', 'No hardcoded secrets detected.');
+    }
+
+    // --history: secrets still in the working tree are already reported above.
+    const current = new Set(secrets.findings.map(f => `${f.file}\0${f.rule}\0${f.snippet}`));
+    const history = ctx.history.filter(f => inUnit(ctx, f.file) && !current.has(`${f.file}\0${f.rule}\0${f.snippet}`));
+    const findings = [...secrets.findings, ...history];
+    if (findings.length === 0) return result('SECRETS', 'PASS', 'No hardcoded secrets in the working tree or git history.');
+    return result('SECRETS', 'FAIL', found => {
+      const tree = found.filter(f => !f.commit);
+      const past = found.filter(f => f.commit);
+      const inTree = tree.length > 0 ? `Secrets detected in ${countFiles(tree)} file(s)` : 'No secrets in the working tree';
+      const commits = new Set(past.map(f => f.commit.hash)).size;
+      return `${inTree}; ${past.length} in git history across ${commits} commit(s).`;
+    }, findings);
+  },
+
+  // --- GATE 3: DOCKER GATEKEEPER ---
+  DOCKER(ctx) {
+    return timed(ctx, 'DOCKER', () => {
+      try {
+        const options = { ignore: unitIgnore(ctx), isIgnored: unitIgnored(ctx), requireDigest: ctx.requireDigest };
+        const dockerfiles = auditDockerfiles(unitRoot(ctx), options);
+        const deployments = auditDeployments(unitRoot(ctx), options);
+        const findings = rebase(ctx, [...dockerfiles.findings, ...deployments.findings]);
+        scanned(ctx, 'DOCKER', rebaseFiles(ctx, [...dockerfiles.files, ...deployments.files]));
+        if (dockerfiles.files.length + deployments.files.length === 0) return result('DOCKER', 'WARN', 'No Dockerfile or deployment manifest found.');
+        if (findings.length > 0) return result('DOCKER', 'FAIL', found => `${describeDockerFindings(found)}.`, findings);
+
+        const counts = [[dockerfiles.files, 'Dockerfile(s)'], [deployments.files, 'deployment manifest(s)']]
+          .filter(([files]) => files.length > 0)
+          .map(([files, label]) => `${files.length} ${label}`);
+        return result('DOCKER', 'PASS', `${ctx.requireDigest ? 'Digest-pinned' : 'Pinned'} images across ${counts.join(' and ')}.`);
+      } catch (e) { return result('DOCKER', 'WARN', 'Scan failed.'); }
+    });
+  },
+
+  // --- GATE 4: CONSOLE SILENCE ---
+  CONSOLE(ctx) {
+    const consoleLogs = fileGate(ctx, 'CONSOLE');
+    if (consoleLogs.error) return result('CONSOLE', 'WARN', 'Scan failed.');
+    const findings = pagesRouterFindings(ctx, consoleLogs.findings);
+    if (findings.length > 0) {
+      return result('CONSOLE', 'FAIL', found => `Found ${describeConsoleFindings(found)} in ${countFiles(found)} file(s).`, findings);
+    }
+    return result('CONSOLE', 'PASS', 'No console pollution detected.');
+  },
+
+  // --- GATE 5: DEPENDENCY FREEZE ---
+  LOCKFILE(ctx) {
+    return timed(ctx, 'LOCKFILE', () => {
+      try {
+        const { present, findings } = workspaceLockfiles(ctx);
+        scanned(ctx, 'LOCKFILE', present);
+        if (present.length === 0) return result('LOCKFILE', 'FAIL', 'No lockfile found.');
+        if (findings.length === 0) return result('LOCKFILE', 'PASS', 'Dependency tree frozen.');
+        return result('LOCKFILE', 'FAIL', found => `${describeLockfileFindings(found)}.`, findings);
+      } catch (e) { return result('LOCKFILE', 'WARN', 'Scan failed.'); }
+    });
+  },
+
+  // --- GATE 6: RANGE DISCIPLINE ---
+  DEP_RANGES(ctx) {
+    return timed(ctx, 'DEP_RANGES', () => {
+      try {
+        const audit = auditRanges(unitRoot(ctx), { exact: ctx.exactVersions, workspaces: !ctx.unit });
+        const manifests = rebaseFiles(ctx, audit.manifests);
+        const findings = rebase(ctx, audit.findings);
+        scanned(ctx, 'DEP_RANGES', manifests);
+        if (manifests.length === 0) return result('DEP_RANGES', 'WARN', 'No package.json found.');
+        if (findings.length === 0) {
+          return result('DEP_RANGES', 'PASS', `${ctx.exactVersions ? 'Exact versions' : 'Bounded ranges'} across ${manifests.length} manifest(s).`);
+        }
+        return result('DEP_RANGES', 'FAIL', found => `Found ${found.length} loose dependency spec(s) in ${countFiles(found)} manifest(s).`, findings);
+      } catch (e) { return result('DEP_RANGES', 'WARN', 'Scan failed.'); }
+    });
+  },
+
+  // --- GATE 7: KNOWN ADVISORIES (offline OSV) ---
+  ADVISORIES(ctx) {
+    return timed(ctx, 'ADVISORIES', () => {
+      try {
+        if (!ctx.advisories) return result('ADVISORIES', 'WARN', 'No advisory database found.');
+        if (ctx.unit && ctx.unit.dir !== '.' && !ownLockfile(ctx)) {
+          return result('ADVISORIES', 'WARN', 'No lockfile of its own; advisories are checked with the workspace root.');
+        }
+        const packages = workspaceLockRoots(ctx)
+          .filter(view => view === ctx || ownLockfile(view))
+          .flatMap(view => rebase(view, lockedPackages(unitRoot(view))));
+        scanned(ctx, 'ADVISORIES', [...new Set(packages.map(p => p.file))]);
+        if (packages.length === 0) return result('ADVISORIES', 'WARN', 'No locked packages to check.');
+
+        const threshold = SEVERITIES.indexOf(ctx.auditLevel);
+        const findings = [];
+        const affected = new Map();
+        let below = 0;
+        for (const { file, name, version, at } of packages) {
+          for (const vuln of matchAdvisories(ctx.advisories.vulns, name, version)) {
+            // No severity is not "low": unrated advisories always count.
+            const severity = advisorySeverity(vuln);
+            if (severity && SEVERITIES.indexOf(severity) < threshold) {
+              below++;
+              continue;
+            }
+            const fixed = fixedVersion(vuln, name, version);
+            const finding = {
+              file,
+              line: at ? at.line : null,
+              column: at ? at.column : null,
+              rule: 'known-vulnerability',
+              snippet: makeSnippet(`${name}@${version}: ${vuln.id} (${severity || 'unrated'})${fixed ? `, fixed in ${fixed}` : ''}`),
+              advisory: { id: vuln.id, aliases: vuln.aliases || [], severity, summary: vuln.summary || null, fixed }
+            };
+            affected.set(finding, `${name}@${version}`);
+            findings.push(finding);
+          }
+        }
+
+        const lower = below > 0 ? `; ${below} below ${ctx.auditLevel}` : '';
+        if (findings.length > 0) {
+          return result('ADVISORIES', 'FAIL', found => {
+            const packageCount = new Set(found.map(f => affected.get(f))).size;
+            return `Found ${found.length} ${ctx.auditLevel}+ advisory(ies) in ${packageCount} package(s)${lower}.`;
+          }, findings);
+        }
+        return result('ADVISORIES', 'PASS', `No ${ctx.auditLevel}+ advisories across ${packages.length} packages${lower}.`);
+      } catch (e) { return result('ADVISORIES', 'WARN', 'Scan failed.'); }
+    });
+  },
+
+  // --- GATE 8: CLIENT BUNDLE EXPOSURE (Next.js) ---
+  CLIENT_ENV(ctx) {
+    const exposure = fileGate(ctx, 'CLIENT_ENV');
+    if (exposure.error) return result('CLIENT_ENV', 'WARN', 'Scan failed.');
+    if (!isNextProject(unitRoot(ctx), exposure.files.map(toPosix), { workspaces: !ctx.unit })) return result('CLIENT_ENV', 'WARN', 'Not a Next.js project.');
+    const findings = pagesRouterFindings(ctx, exposure.findings);
+    if (findings.length > 0) {
+      return result('CLIENT_ENV', 'FAIL', found => `Found ${found.length} server env exposure(s) in ${countFiles(found)} file(s).`, findings);
+    }
+    return result('CLIENT_ENV', 'PASS', 'No server env reaches client code.');
+  },
+
+  // --- GATE 9: NEXT.JS HARDENING (headers & config) ---
+  NEXT_HARDENING(ctx) {
+    return timed(ctx, 'NEXT_HARDENING', () => {
+      try {
+        const audit = auditNextConfigs(unitRoot(ctx), { ignore: unitIgnore(ctx), isIgnored: unitIgnored(ctx), workspaces: !ctx.unit });
+        const { apps } = audit;
+        const findings = rebase(ctx, audit.findings);
+        scanned(ctx, 'NEXT_HARDENING', rebaseFiles(ctx, audit.files));
+        if (apps.length === 0) return result('NEXT_HARDENING', 'WARN', 'Not a Next.js project.');
+        if (findings.length > 0) {
+          // Missing headers and open image hosts fail; the rest only warns.
+          const status = findings.some(f => !NEXT_ADVISORY_RULES.has(f.rule)) ? 'FAIL' : 'WARN';
+          return result('NEXT_HARDENING', status, found => `${describeCounts(HARDENING_PROBLEMS, found)}.`, findings);
+        }
+        return result('NEXT_HARDENING', 'PASS', `Security headers and hardened config in ${apps.length} Next.js app(s).`);
+      } catch (e) { return result('NEXT_HARDENING', 'WARN', 'Scan failed.'); }
+    });
+  },
+
+  // --- GATE 10: COMPILER STRICTNESS (tsconfig) ---
+  TS_STRICT(ctx) {
+    return timed(ctx, 'TS_STRICT', () => {
+      try {
+        const audit = auditTsconfigs(unitRoot(ctx), { ignore: unitIgnore(ctx), isIgnored: unitIgnored(ctx) });
+        const { files } = audit;
+        const findings = rebase(ctx, audit.findings);
+        scanned(ctx, 'TS_STRICT', rebaseFiles(ctx, files));
+        if (files.length === 0) return result('TS_STRICT', 'WARN', 'No tsconfig.json found.');
+        if (findings.length > 0) {
+          const status = findings.some(f => !TSCONFIG_ADVISORY_RULES.has(f.rule)) ? 'FAIL' : 'WARN';
+          return result('TS_STRICT', status, found => `${describeCounts(TSCONFIG_PROBLEMS, found)}.`, findings);
+        }
+        return result('TS_STRICT', 'PASS', `Strict compiler options in ${files.length} tsconfig(s).`);
+      } catch (e) { return result('TS_STRICT', 'WARN', 'Scan failed.'); }
+    });
+  }
+};
+
+// --- POLICIES (suppressions, baseline) ---
+
+// `// strictkit-ignore-next-line GATE -- reason` and `/* strictkit-disable GATE -- reason */`.
+// Parsed lazily, only for files that have findings.
+function suppressionsFor(ctx, file) {
+  if (!ctx.suppressionCache.has(file)) {
+    let parsed = null;
+    try {
+      parsed = parseSuppressions(file, fs.readFileSync(path.join(ctx.cwd, file), 'utf8'), GATE_NAMES);
+    } catch (e) { /* unreadable file: nothing to suppress */ }
+    ctx.suppressionCache.set(file, parsed);
+  }
+  return ctx.suppressionCache.get(file);
+}
+
+function applyPolicies(ctx, raw) {
+  let { gate, status, message: msg, findings } = raw;
+  const res = { ...raw };
+
+  if (ctx.suppressions && findings.length > 0) {
+    const suppressed = [];
+    const kept = [];
+    for (const f of findings) {
+      const suppressions = suppressionsFor(ctx, f.file);
+      // History hits point at old revisions; only the baseline can accept them.
+      const directive = !f.commit && suppressions && findSuppression(suppressions, gate, f);
+      if (directive) suppressed.push({ ...f, reason: directive.reason, directiveLine: directive.line });
+      else kept.push(f);
+    }
+    if (suppressed.length > 0) {
+      if (kept.length === 0) {
+        if (status === 'FAIL') status = 'PASS';
+        msg = `All findings suppressed (${suppressed.length}).`;
+      } else {
+        // Restate the message for what is left: "Found 1 …", not "Found 2 …".
+        msg = `${raw.describe ? raw.describe(kept) : msg} (${suppressed.length} suppressed)`;
+      }
+      Object.assign(res, { status, message: msg, findings: kept, suppressed });
+      findings = kept;
+    }
+  }
+
+  if (ctx.baseline) {
+    // With --changed-since/--staged, file-level gates skip unchanged files:
+    // their baselined findings were not looked for, so they are not fixed.
+    const fileGate = ctx.changedFiles && ANALYZERS.some(a => a.gate === gate);
+    const applied = applyBaseline(ctx.baseline, { gate, status, message: msg, findings }, fileGate ? f => inScope(ctx, f) : undefined);
+    if (applied.baselined.length > 0 || applied.fixed > 0 || applied.status !== status) {
+      const counts = `${applied.findings.length} new, ${applied.baselined.length} baselined, ${applied.fixed} fixed`;
+      status = applied.status;
+      msg = status === 'PASS' && raw.status === 'FAIL' ? `No new violations (${counts}).` : `${msg} (${counts})`;
+      Object.assign(res, { status, message: msg, findings: applied.findings, baselined: applied.baselined, fixed: applied.fixed });
+    }
+  }
+
+  return res;
+}
+
+// --- CONTEXT & REPORT ---
+
+/**
+ * Prepare everything an audit needs: diff scope, baseline, cache and the
+ * single-pass file scan. Rejects if the git ref or baseline file is unusable.
+ *
+ * Options:
+ * - `cwd` project root (default: process.cwd())
+ * - `gates` gate names to run (default: all)
+ * - `ignore` extra glob patterns to skip, on top of DEFAULT_IGNORE and the
+ *   project's .gitignore / .strictkitignore files
+ * - `baseline` baseline file path, or `false` to ignore baselines
+ * - `suppressions` honor inline suppression comments (default: true)
+ * - `changedSince` / `staged` limit file gates to git changes
+ * - `history` also scan lines added in every local commit for secrets (SECRETS)
+ * - `concurrency` worker threads for the scan
+ * - `cache` reuse cached findings (default: true)
+ * - `deep` type-check the project for implicit `any` and `@ts-ignore`-style
+ *   escapes (NO_ANY)
+ * - `requireDigest` require `@sha256:` digests on every image (DOCKER)
+ * - `exactVersions` require exact versions in `dependencies` (DEP_RANGES)
+ * - `advisories` OSV advisory file or directory (ADVISORIES; default:
+ *   .strictkit-advisories.json or .strictkit-advisories/ in the project)
+ * - `auditLevel` lowest advisory severity that fails: low, moderate, high
+ *   (default) or critical
+ * - `package` in a workspace, audit only this package (name or directory)
+ */
+async function createContext(options = {}) {
+  const cwd = path.resolve(options.cwd || '.');
+  const gates = options.gates || GATE_NAMES;
+  const unknown = gates.find(g => !GATE_NAMES.includes(g));
+  if (unknown) throw new Error(`Unknown gate: ${unknown}`);
+  const auditLevel = options.auditLevel || 'high';
+  if (!SEVERITIES.includes(auditLevel)) throw new Error(`Unknown audit level: ${auditLevel}. Use one of: ${SEVERITIES.join(', ')}.`);
+
+  const ctx = {
+    cwd,
+    gates: GATE_NAMES.filter(g => gates.includes(g)),
+    ignore: [...DEFAULT_IGNORE, ...(options.ignore || [])],
+    suppressions: options.suppressions !== false,
+    deep: Boolean(options.deep),
+    requireDigest: Boolean(options.requireDigest),
+    exactVersions: Boolean(options.exactVersions),
+    auditLevel,
+    advisories: null,
+    localEnvFiles: new Set(),
+    history: null,
+    suppressionCache: new Map(),
+    memo: {},
+    units: null,
+    unit: null,
+    changedFiles: null,
+    scope: null,
+    baseline: null,
+    baselineFile: null,
+    timestamp: new Date().toISOString(),
+    timings: { gates: {} },
+    scanned: {},
+    ignoreFiles: null,
+    scanFilter: null,
+    cacheStats: null,
+    scan: null
+  };
+
+  // --- DIFF SCOPE (changedSince / staged) ---
+  // File-level gates (NO_ANY, SECRETS, CONSOLE, CLIENT_ENV) only look at changed
+  // files and changed lines; repo-level gates (DOCKER, LOCKFILE, DEP_RANGES,
+  // ADVISORIES, NEXT_HARDENING, TS_STRICT) always run in full.
+  if (options.changedSince || options.staged) {
+    const { getChangedFiles } = require('./utils/git');
+    try {
+      ctx.changedFiles = getChangedFiles(cwd, { since: options.changedSince, staged: !!options.staged });
+    } catch (e) {
+      const reason = (e.stderr || e.message || '').toString().trim().split('\n')[0];
+      throw new Error(`Could not read git changes: ${reason}`);
+    }
+    ctx.scope = { changedSince: options.changedSince || null, staged: !!options.staged, files: ctx.changedFiles.size };
+  }
+
+  // --- BASELINE (ratchet existing violations) ---
+  if (options.baseline !== false) {
+    const file = path.resolve(cwd, options.baseline || DEFAULT_BASELINE_FILE);
+    try {
+      ctx.baseline = loadBaseline(file);
+    } catch (e) {
+      throw new Error(`Could not read baseline: ${e.message}`);
+    }
+    if (ctx.baseline) ctx.baselineFile = file;
+  }
+
+  // --- WORKSPACES (one unit per package) ---
+  const workspaces = findWorkspaces(cwd);
+  if (workspaces.length > 0) ctx.units = workspaces;
+  if (options.package) {
+    if (!ctx.units) throw new Error('Not a workspace: no workspaces in package.json or pnpm-workspace.yaml.');
+    const unit = ctx.units.find(u => u.name === options.package || u.dir === toPosix(options.package).replace(/\/$/, ''));
+    if (!unit) throw new Error(`Unknown package: ${options.package}. Workspace packages: ${ctx.units.map(u => u.name).join(', ')}.`);
+    Object.assign(ctx, unitContext(ctx, unit), { timings: ctx.timings });
+  }
+
+  // --- ADVISORIES (local OSV database, never fetched) ---
+  if (ctx.gates.includes('ADVISORIES')) {
+    try {
+      ctx.advisories = loadAdvisories(cwd, options.advisories);
+    } catch (e) {
+      throw new Error(`Could not read advisories: ${e.message}`);
+    }
+  }
+
+  // --- IGNORE FILES (.gitignore, .strictkitignore) ---
+  // .gitignore only keeps untracked files out: what git tracks ships.
+  const { trackedFiles } = require('./utils/git');
+  ctx.ignoreFiles = readIgnoreFiles(cwd, { ignore: ctx.ignore, tracked: trackedFiles(cwd) });
+
+  // --- GIT HISTORY (SECRETS --history) ---
+  if (options.history && ctx.gates.includes('SECRETS')) {
+    const { scanHistory } = require('./utils/history');
+    const secrets = ANALYZERS.find(a => a.gate === 'SECRETS');
+    try {
+      // .gitignore says what is ignored now, not what was committed then:
+      // old paths only skip the default patterns and .strictkitignore.
+      const strictkitIgnore = readIgnoreFiles(cwd, { ignore: ctx.ignore, names: ['.strictkitignore'] });
+      const isIgnored = createIgnoreMatcher(cwd, ctx.ignore, strictkitIgnore);
+      ctx.history = await scanHistory(cwd, { accepts: secrets.accepts, isIgnored });
+    } catch (e) {
+      throw new Error(`Could not read git history: ${e.message}`);
+    }
+  }
+
+  // --- LOCAL ENV FILES ---
+  // A .env that git does not track is a developer's local config, not a
+  // leak: keep it out of SECRETS. Outside a git work tree every .env counts.
+  if (ctx.gates.includes('SECRETS')) {
+    const { untrackedFiles } = require('./utils/git');
+    ctx.localEnvFiles = untrackedFiles(cwd, '**/.env*') || new Set();
+  }
+
+  // --- SCAN (single pass, parallel, cached) ---
+  // Kept on the context so watch mode rescans the same files.
+  ctx.scanFilter = f => inScope(ctx, f) && inUnit(ctx, f) && !ctx.localEnvFiles.has(toPosix(f)) && !ctx.ignoreFiles.isIgnored(toPosix(f));
+  const useCache = options.cache !== false;
+  const fileGates = ANALYZERS.map(a => a.gate).filter(g => ctx.gates.includes(g));
+  const start = performance.now();
+  const scan = await scanProject({
+    cwd,
+    ignore: ctx.ignore,
+    filter: ctx.scanFilter,
+    concurrency: options.concurrency,
+    gates: fileGates,
+    cache: useCache ? loadCache(cwd, VERSION) : null
+  }).catch(e => {
+    // A failed scan (e.g. a crashed worker) degrades every file gate to WARN;
+    // repo-level gates still run.
+    const byGate = {};
+    for (const gate of fileGates) byGate[gate] = { files: [], findings: [], ms: 0, error: e.message };
+    return { files: 0, workers: 0, wallMs: 0, byGate, cache: null };
+  });
+
+  ctx.scan = scan;
+  ctx.timings.scan = { files: scan.files, workers: scan.workers, ms: Math.round(scan.wallMs) };
+  ctx.cacheStats = { enabled: useCache, hits: scan.cache ? scan.cache.hits : 0, misses: scan.cache ? scan.cache.misses : 0 };
+  // Don't persist a diff- or package-scoped run: it only saw a slice of the project.
+  if (useCache && scan.cache && !ctx.changedFiles && !ctx.unit) saveCache(cwd, VERSION, scan.cache.entries);
+  ctx.timings.startMs = start;
+  return ctx;
+}
+
+/**
+ * Run one gate against a prepared context, with suppressions and baseline
+ * applied. Returns `{ gate, status, message, findings, suppressed?, baselined?, fixed? }`.
+ */
+function evaluateGate(ctx, gate) {
+  return applyPolicies(ctx, CHECKS[gate](ctx));
+}
+
+function summarize(results) {
+  const summary = { total: 0, passed: 0, failed: 0, warnings: 0, suppressed: 0 };
+  for (const r of results) {
+    summary.total++;
+    if (r.status === 'FAIL') summary.failed++;
+    else if (r.status === 'PASS') summary.passed++;
+    else summary.warnings++;
+    if (r.suppressed) summary.suppressed += r.suppressed.length;
+  }
+  return summary;
+}
+
+/**
+ * In a workspace, evaluate every package (and the root) as its own unit:
+ * `[{ name, path, success, summary, results }]`. With the `package` option
+ * the audit already is that unit, so its `results` are reused. null outside
+ * a workspace.
+ */
+function evaluatePackages(ctx, results) {
+  if (!ctx.units) return null;
+  const section = (unit, unitResults) => {
+    const summary = summarize(unitResults);
+    return { name: unit.name, path: unit.dir, success: summary.failed === 0, summary, results: unitResults };
+  };
+  if (ctx.unit) return [section(ctx.unit, results)];
+  return ctx.units.map(unit => {
+    const view = unitContext(ctx, unit);
+    return section(unit, view.gates.map(gate => evaluateGate(view, gate)));
+  });
+}
+
+/**
+ * Assemble the report (the `--json` contract) from evaluated results and,
+ * in a workspace, the per-package sections from evaluatePackages. The
+ * audit succeeds only when every package does too.
+ */
+function buildReport(ctx, results, packages = null) {
+  const summary = summarize(results);
+  const invalidSuppressions = [];
+
+  for (const parsed of ctx.suppressionCache.values()) {
+    if (parsed) invalidSuppressions.push(...parsed.invalid);
+  }
+
+  const { startMs, ...timings } = ctx.timings;
+  const meta = {
+    tool: 'StrictKit',
+    timestamp: ctx.timestamp,
+    path: ctx.cwd,
+    timings: { ...timings, totalMs: Math.round(performance.now() - startMs) },
+    cache: ctx.cacheStats
+  };
+  if (ctx.baselineFile) meta.baseline = ctx.baselineFile;
+  if (ctx.scope) meta.scope = ctx.scope;
+  if (ctx.advisories) meta.advisories = { source: ctx.advisories.source, count: ctx.advisories.vulns.length };
+  if (ctx.unit) meta.package = { name: ctx.unit.name, path: ctx.unit.dir };
+  if (ctx.ignoreFiles.files.length > 0) meta.ignoreFiles = ctx.ignoreFiles.files;
+  meta.scanned = Object.fromEntries(ctx.gates
+    .filter(gate => ctx.scanned[gate])
+    .map(gate => [gate, { count: ctx.scanned[gate].length, files: ctx.scanned[gate] }]));
+
+  const report = { meta, summary, results, invalidSuppressions, success: summary.failed === 0 };
+  if (packages) {
+    report.packages = packages;
+    report.success = report.success && packages.every(p => p.success);
+  }
+  return report;
+}
+
+/**
+ * Audit a project and resolve to the report object (the same contract as
+ * `strictkit audit --json`). Never prints and never exits the process.
+ *
+ *   const { runAudit } = require('strictkit');
+ *   const report = await runAudit({ cwd: 'apps/web', gates: ['NO_ANY', 'SECRETS'] });
+ */
+async function runAudit(options = {}) {
+  const ctx = await createContext(options);
+  const results = ctx.gates.map(gate => evaluateGate(ctx, gate));
+  return buildReport(ctx, results, evaluatePackages(ctx, results));
+}
+
+// Individually exported gates: each resolves to a single gate result.
+const gateRunner = gate => (options = {}) =>
+  createContext({ ...options, gates: [gate] }).then(ctx => evaluateGate(ctx, gate));
+
+const checkNoAny = gateRunner('NO_ANY');
+const checkSecrets = gateRunner('SECRETS');
+const checkDocker = gateRunner('DOCKER');
+const checkConsole = gateRunner('CONSOLE');
+const checkLockfile = gateRunner('LOCKFILE');
+const checkDepRanges = gateRunner('DEP_RANGES');
+const checkAdvisories = gateRunner('ADVISORIES');
+const checkClientEnv = gateRunner('CLIENT_ENV');
+const checkNextHardening = gateRunner('NEXT_HARDENING');
+const checkTsStrict = gateRunner('TS_STRICT');
+
+module.exports = {
+  runAudit,
+  checkNoAny,
+  checkSecrets,
+  checkDocker,
+  checkConsole,
+  checkLockfile,
+  checkDepRanges,
+  checkAdvisories,
+  checkClientEnv,
+  checkNextHardening,
+  checkTsStrict,
+  createContext,
+  evaluateGate,
+  evaluatePackages,
+  buildReport,
+  GATE_NAMES,
+  DEFAULT_IGNORE,
+  LOCKFILES
+};
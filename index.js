@@ -1,35 +1,82 @@
 #!/usr/bin/env node
+/* strictkit-disable CONSOLE -- a CLI's output is its interface */
 const chalk = require('chalk');
-const { globSync } = require('glob');
 const fs = require('fs');
 const path = require('path');
 const { trackAudit } = require('./utils/telemetry');
 
 // CONFIG - Parse arguments correctly
 const args = process.argv.slice(2);
-const COMMANDS = ['audit', 'explain', 'help', '--help', '-h', '--version', '-v'];
+const COMMANDS = ['audit', 'baseline', 'cache', 'explain', 'help', '--help', '-h', '--version', '-v'];
+const OPTIONS_WITH_VALUE = ['--format', '--output', '--baseline', '--changed-since', '--concurrency', '--advisories', '--audit-level', '--package'];
+const positionals = args.filter((a, i) => !a.startsWith('-') && !OPTIONS_WITH_VALUE.includes(args[i - 1]));
 const command = args.find(a => COMMANDS.includes(a)) || 'audit';
-const PROJECT_PATH = args.find(a => !COMMANDS.includes(a) && !a.startsWith('-')) || '.';
-const CURRENT_FILE = path.basename(__filename);
-const IGNORE_PATTERNS = ['node_modules/**', 'dist/**', '.next/**', 'coverage/**', '.git/**', '*.min.js', 'utils/**', CURRENT_FILE];
+// `cache clear [path]` takes a subcommand before the path
+const CACHE_SUBCOMMANDS = ['clear'];
+const PROJECT_PATH = positionals.find(a => !COMMANDS.includes(a) && !(command === 'cache' && CACHE_SUBCOMMANDS.includes(a))) || '.';
+
+// Reads `--name value` or `--name=value`
+function getOption(name) {
+  const inline = args.find(a => a.startsWith(`${name}=`));
+  if (inline) return inline.slice(name.length + 1);
+  const i = args.indexOf(name);
+  return i !== -1 ? args[i + 1] : undefined;
+}
 
 // 🚩 DETECT JSON FLAG
 const isJson = args.includes('--json');
 
+// 🚩 OUTPUT FORMAT (--json is shorthand for --format json)
+const FORMATS = ['text', 'json', 'sarif', 'junit'];
+const format = getOption('--format') || (isJson ? 'json' : 'text');
+const isMachine = format !== 'text';
+
 // --- HELP & VERSION (Keep these human-only usually) ---
 if (['help', '--help', '-h'].includes(command)) {
   console.log(`
 ${chalk.bold('StrictKit')} - The Code Integrity Protocol
 
 ${chalk.yellow('Usage:')}
-  npx strictkit [command] [path] [--json]
+  npx strictkit [command] [path] [--json] [--format <fmt>] [--output <file>]
 
 ${chalk.yellow('Commands:')}
   audit [path]    Audit a project (default: current directory)
+  baseline [path] Snapshot current findings; later audits fail only on new ones
+  explain [rule]  Explain a gate, rule ID or finding rule (e.g. NO_ANY, root-user)
+  cache clear [path]
+                  Delete cached findings (node_modules/.cache/strictkit)
   help            Show this help message
 
 ${chalk.yellow('Options:')}
   --json          Output results in JSON format (for CI/CD)
+  --format <fmt>  Output format: text (default), json, sarif, junit
+  --output <file> Write json/sarif/junit output to a file instead of stdout
+  --baseline <f>  Baseline file (default: .strictkit-baseline.json)
+  --no-baseline   Ignore the baseline file and report every finding
+  --changed-since <ref>
+                  Only scan files and lines changed since <ref> (git merge-base)
+  --staged        Only scan staged changes (for pre-commit hooks)
+  --package <name>
+                  In a npm/yarn/pnpm workspace, audit only this package
+                  (name or directory); otherwise every package gets a verdict
+  --history       SECRETS: also scan lines added in every local commit
+  --deep          NO_ANY: type-check the project for implicit any, @ts-ignore,
+                  @ts-nocheck, reasonless @ts-expect-error and ! assertions
+  --concurrency <n>
+                  Worker threads for file scanning (default: CPU cores, max 8)
+  --watch         Keep running and re-audit changed files as you save
+  --no-cache      Re-analyze every file instead of reusing cached findings
+  --no-suppressions
+                  Ignore strictkit-ignore/disable comments (suppressed findings fail)
+  --require-digest
+                  DOCKER: require @sha256: digests on every image, not just tags
+  --exact-versions
+                  DEP_RANGES: require exact versions in dependencies (no ^ or ~)
+  --advisories <path>
+                  ADVISORIES: local OSV database, file or directory
+                  (default: .strictkit-advisories.json or .strictkit-advisories/)
+  --audit-level <level>
+                  ADVISORIES: lowest failing severity: low, moderate, high (default), critical
 
 ${chalk.yellow('More info:')} https://www.strictkit.dev
 `);
@@ -44,181 +91,293 @@ if (['--version', '-v'].includes(command)) {
   process.exit(0);
 }
 
-// 🤫 SILENCE LOGS IF JSON
-function logHuman(msg) {
-  if (!isJson) console.log(msg);
+// --- EXPLAIN ---
+if (command === 'explain') {
+  const { RULES, findRule } = require('./utils/rules');
+  const query = positionals.find(a => !COMMANDS.includes(a));
+
+  if (!query) {
+    if (isJson) {
+      console.log(JSON.stringify({ rules: RULES }, null, 2));
+    } else {
+      console.log(chalk.bold('\nStrictKit rules:\n'));
+      RULES.forEach(r => console.log(`  ${chalk.bold(r.gate.padEnd(10))} ${chalk.gray(r.id.padEnd(12))} ${r.title}`));
+      console.log(chalk.gray('\nRun `strictkit explain <GATE|ID>` for details.\n'));
+    }
+    process.exit(0);
+  }
+
+  const rule = findRule(query);
+  if (!rule) {
+    if (isJson) console.log(JSON.stringify({ error: `Unknown rule: ${query}` }, null, 2));
+    else console.error(chalk.red(`Unknown rule: ${query}. Run \`strictkit explain\` to list rules.`));
+    process.exit(1);
+  }
+
+  if (isJson) {
+    console.log(JSON.stringify(rule, null, 2));
+  } else {
+    console.log(`
+${chalk.bold(rule.gate)} ${chalk.gray(`[${rule.id}]`)} - ${rule.title}
+${chalk.gray(`Pillar: ${rule.pillar}`)}
+
+${chalk.yellow('Why:')}
+  ${rule.rationale}
+
+${chalk.yellow('Triggers:')}
+  ${rule.triggers}
+
+${chalk.yellow('Rules:')}
+  ${rule.subRules.join(', ')}
+
+${chalk.yellow('Non-compliant:')}
+${rule.nonCompliant.map(e => chalk.red(`  ${e}`)).join('\n')}
+
+${chalk.yellow('Compliant:')}
+${rule.compliant.map(e => chalk.green(`  ${e}`)).join('\n')}
+
+${chalk.yellow('Fix:')}
+  ${rule.fix}
+`);
+  }
+  process.exit(0);
+}
+
+// --- CACHE ---
+if (command === 'cache') {
+  const { clearCache, CACHE_DIR } = require('./utils/cache');
+  const sub = positionals.find(a => CACHE_SUBCOMMANDS.includes(a));
+  if (sub !== 'clear') {
+    console.error(chalk.red('Usage: strictkit cache clear [path]'));
+    process.exit(1);
+  }
+  const cleared = clearCache(PROJECT_PATH);
+  console.log(cleared ? `Cleared ${path.join(path.resolve(PROJECT_PATH), CACHE_DIR)}` : 'Cache is already empty.');
+  process.exit(0);
+}
+
+// 🚩 WATCH MODE (human output only)
+const WATCH = args.includes('--watch');
+let watchStarted = false;
+
+if (WATCH && (isMachine || command !== 'audit')) {
+  console.error(chalk.red('--watch only works with `audit` and text output.'));
+  process.exit(1);
 }
 
-logHuman(chalk.bold.white('\n🔒 STRICTKIT: The Code Integrity Protocol'));
-logHuman(chalk.gray(`   Auditing: ${path.resolve(PROJECT_PATH)}\n`));
-
-// 📦 DATA STRUCTURE FOR JSON
-const jsonReport = {
-  meta: {
-    tool: 'StrictKit',
-    timestamp: new Date().toISOString(),
-    path: path.resolve(PROJECT_PATH)
-  },
-  summary: {
-    total: 0,
-    passed: 0,
-    failed: 0,
-    warnings: 0
-  },
-  results: []
+if (!FORMATS.includes(format)) {
+  console.error(chalk.red(`Unknown format: ${format}. Use one of: ${FORMATS.join(', ')}.`));
+  process.exit(1);
+}
+
+const CONCURRENCY = getOption('--concurrency') ? parseInt(getOption('--concurrency'), 10) : undefined;
+if (CONCURRENCY !== undefined && !(CONCURRENCY >= 1)) {
+  console.error(chalk.red('--concurrency must be a positive integer.'));
+  process.exit(1);
+}
+
+// 🧰 AUDIT OPTIONS (see api.js for the programmatic equivalent)
+const { DEFAULT_BASELINE_FILE, createBaseline } = require('./utils/baseline');
+const BASELINE_FILE = path.resolve(PROJECT_PATH, getOption('--baseline') || DEFAULT_BASELINE_FILE);
+const CHANGED_SINCE = getOption('--changed-since');
+const STAGED = args.includes('--staged');
+
+const auditOptions = {
+  cwd: PROJECT_PATH,
+  baseline: command === 'audit' && !args.includes('--no-baseline') ? BASELINE_FILE : false,
+  suppressions: !args.includes('--no-suppressions'),
+  changedSince: CHANGED_SINCE,
+  staged: STAGED,
+  history: args.includes('--history'),
+  deep: args.includes('--deep'),
+  concurrency: CONCURRENCY,
+  cache: !args.includes('--no-cache'),
+  requireDigest: args.includes('--require-digest'),
+  exactVersions: args.includes('--exact-versions'),
+  advisories: getOption('--advisories'),
+  auditLevel: getOption('--audit-level'),
+  package: getOption('--package')
 };
 
-// --- AUDIT FUNCTION (Dual Mode) ---
-function audit(gate, status, msg) {
-  // 1. Add to JSON Report
-  jsonReport.results.push({
-    gate,
-    status, // FAIL, PASS, WARN
-    message: msg
-  });
-  
-  // Update summary
-  jsonReport.summary.total++;
-  if (status === 'FAIL') jsonReport.summary.failed++;
-  else if (status === 'PASS') jsonReport.summary.passed++;
-  else jsonReport.summary.warnings++;
-
-  // 2. Print Human Output (if not json)
-  if (!isJson) {
+if (command === 'baseline' && auditOptions.package) {
+  console.error(chalk.red('--package only works with `audit`: a baseline covers the whole workspace.'));
+  process.exit(1);
+}
+
+// 🤫 SILENCE LOGS IF MACHINE OUTPUT
+function logHuman(msg) {
+  if (!isMachine) console.log(msg);
+}
+
+function printHeader(meta) {
+  logHuman(chalk.bold.white('\n🔒 STRICTKIT: The Code Integrity Protocol'));
+  logHuman(chalk.gray(`   Auditing: ${path.resolve(PROJECT_PATH)}\n`));
+  if (meta.baseline) logHuman(chalk.gray(`   Baseline: ${meta.baseline}\n`));
+  if (meta.scope) logHuman(chalk.gray(`   Scope: ${meta.scope.files} changed file(s) ${STAGED ? '(staged)' : `since ${CHANGED_SINCE}`}\n`));
+  if (meta.package) logHuman(chalk.gray(`   Package: ${meta.package.name} (${meta.package.path})\n`));
+}
+
+// --- HUMAN RESULTS ---
+const MAX_LISTED_FINDINGS = 10;
+
+function printResults(report) {
+  if (isMachine) return;
+  report.invalidSuppressions.forEach(i => logHuman(chalk.yellow(`⚠️  Ignored suppression at ${i.file}:${i.line}: ${i.problem}`)));
+
+  for (const { gate, status, message: msg, findings } of report.results) {
     const icon = status === 'FAIL' ? '❌' : (status === 'WARN' ? '⚠️ ' : '✅');
     const color = status === 'FAIL' ? chalk.red : (status === 'WARN' ? chalk.yellow : chalk.green);
     console.log(`${icon} ${chalk.bold(gate.padEnd(15))} ${color(msg)}`);
+
+    findings.slice(0, MAX_LISTED_FINDINGS).forEach(f => {
+      const location = f.line ? `${f.file}:${f.line}${f.column ? `:${f.column}` : ''}` : f.file;
+      const where = f.commit ? `${f.commit.hash.slice(0, 8)} ${f.commit.date.slice(0, 10)} ${location}` : location;
+      console.log(chalk.gray(`     ${where}  ${f.snippet}  (${f.rule})`));
+    });
+    if (findings.length > MAX_LISTED_FINDINGS) {
+      console.log(chalk.gray(`     … and ${findings.length - MAX_LISTED_FINDINGS} more (use --json for the full list)`));
+    }
+  }
+
+  // --- WORKSPACE PACKAGES ---
+  if (report.packages && !report.meta.package) {
+    console.log(chalk.bold(`\n📦 Packages (${report.packages.length})`));
+    for (const p of report.packages) {
+      const failing = p.results.filter(r => r.status === 'FAIL').map(r => r.gate);
+      const verdict = p.success ? chalk.green('passed') : chalk.red(`failed: ${failing.join(', ')}`);
+      console.log(`${p.success ? '✅' : '❌'} ${chalk.bold(p.name)} ${chalk.gray(p.path)}  ${verdict}`);
+    }
   }
 }
 
-// --- UTILS ---
-const { stripComments, stripStrings } = require('./utils/sanitize');
+function finish(report) {
+  // --- VERDICT & TELEMETRY ---
+  // In a workspace, a failing package fails the audit too.
+  const failed = report.summary.failed;
+  const passed = report.success;
+  const brokenRuleIds = [...new Set([report, ...(report.packages || [])]
+    .flatMap(r => r.results.filter(g => g.status === 'FAIL').map(g => g.gate)))];
 
-// --- GATE 1: THE NO-ANY POLICY (AST-powered) ---
-try {
-  const { countAnyTypes } = require('./utils/ast-analyzer');
-  const tsFiles = globSync('**/*.{ts,tsx}', { cwd: PROJECT_PATH, ignore: IGNORE_PATTERNS });
-  let anyCount = 0;
-  let anyFiles = [];
+  if (!watchStarted) trackAudit(passed ? 'passed' : 'failed', brokenRuleIds);
 
-  tsFiles.forEach(f => {
-    const content = fs.readFileSync(path.join(PROJECT_PATH, f), 'utf8');
-    const fileCount = countAnyTypes(f, content);
+  // --- FINAL OUTPUT ---
 
-    if (fileCount > 0) {
-      anyCount += fileCount;
-      anyFiles.push(f);
+  if (command === 'baseline') {
+    const snapshot = createBaseline(report);
+    fs.writeFileSync(BASELINE_FILE, `${JSON.stringify(snapshot, null, 2)}\n`);
+    const recorded = Object.values(snapshot.gates)
+      .reduce((sum, g) => sum + Object.values(g.files).reduce((n, prints) => n + prints.length, 0), 0);
+
+    if (isMachine) {
+      console.log(JSON.stringify({ baseline: BASELINE_FILE, gates: Object.keys(snapshot.gates), findings: recorded }, null, 2));
+    } else {
+      logHuman(chalk.gray('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━'));
+      logHuman(chalk.green.bold(`\n📌 BASELINE WRITTEN`));
+      logHuman(chalk.gray(`   ${recorded} finding(s) across ${Object.keys(snapshot.gates).length} failing gate(s) → ${BASELINE_FILE}\n`));
+    }
+    process.exit(0);
+  }
+
+  if (isMachine) {
+    // 🤖 MACHINE OUTPUT (json, SARIF 2.1.0 for code scanning, JUnit XML for CI dashboards)
+    let output;
+    if (format === 'sarif') {
+      const { toSarif } = require('./utils/sarif');
+      output = JSON.stringify(toSarif(report, VERSION), null, 2);
+    } else if (format === 'junit') {
+      const { toJunit } = require('./utils/junit');
+      output = toJunit(report);
+    } else {
+      output = JSON.stringify(report, null, 2);
     }
-  });
 
-  if (anyCount > 0) {
-    audit('NO_ANY', 'FAIL', `Found ${anyCount} usages of 'any' in ${anyFiles.length} file(s).`);
-  } else if (tsFiles.length === 0) {
-    audit('NO_ANY', 'WARN', 'No TypeScript files found.');
+    const outputFile = getOption('--output');
+    if (outputFile) fs.writeFileSync(outputFile, output.endsWith('\n') ? output : `${output}\n`);
+    else console.log(output.replace(/\n$/, ''));
+    process.exit(passed ? 0 : 1);
+  } else if (WATCH) {
+    // 👀 WATCH MODE (keep running)
+    logHuman(chalk.gray('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━'));
+    logHuman(passed ? chalk.green.bold(`\n✨ AUDIT PASSED`) : chalk.red.bold(`\n💥 AUDIT FAILED`));
+    logHuman(chalk.gray(`\n   Watching for changes… (Ctrl+C to exit)\n`));
   } else {
-    audit('NO_ANY', 'PASS', `Strict typing enforced across ${tsFiles.length} files.`);
-  }
-} catch (e) { audit('NO_ANY', 'WARN', 'Could not complete TypeScript scan.'); }
-
-// --- GATE 2: SECRET SENTINEL ---
-const SECRET_PATTERNS = [
-  /sk_live_[a-zA-Z0-9]{24,}/, /sk_test_[a-zA-Z0-9]{24,}/, /AKIA[0-9A-Z]{16}/,
-  /ghp_[a-zA-Z0-9]{36}/, /gho_[a-zA-Z0-9]{36}/, /xox[baprs]-[0-9a-zA-Z-]{10,}/,
-  /sk-[a-zA-Z0-9]{48}/, /AIza[a-zA-Z0-9\-_]{35}/, /-----BEGIN .*PRIVATE KEY-----/,
-  /eyJ[a-zA-Z0-9_-]{20,}\.eyJ[a-zA-Z0-9_-]{20,}\./
-];
-
-let secretsFound = [];
-try {
-  const codeFiles = globSync('**/*.{ts,tsx,js,jsx,json}', { 
-    cwd: PROJECT_PATH, 
-    ignore: [...IGNORE_PATTERNS, '**/*.test.*', '**/*.spec.*', '**/test/**', '**/__tests__/**']
-  });
-  codeFiles.forEach(f => {
-    const content = fs.readFileSync(path.join(PROJECT_PATH, f), 'utf8');
-    for (const pattern of SECRET_PATTERNS) {
-      if (pattern.test(content)) { secretsFound.push(f); break; }
+    // 👨‍💻 HUMAN OUTPUT (Fancy UI)
+    logHuman(chalk.gray('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━'));
+    if (!passed) {
+      logHuman(chalk.red.bold(`\n💥 AUDIT FAILED`));
+      logHuman(chalk.cyan.bold(`\n→ https://www.strictkit.dev/pro?src=cli&f=${failed}\n`));
+      setTimeout(() => process.exit(1), 300);
+    } else {
+      logHuman(chalk.green.bold(`\n✨ AUDIT PASSED`));
+      logHuman(chalk.cyan.bold('\n→ https://www.strictkit.dev/pro?src=cli&f=0\n'));
+      setTimeout(() => process.exit(0), 300);
     }
+  }
+}
+
+// --- RUN ---
+const { createContext, evaluateGate, evaluatePackages, buildReport, LOCKFILES } = require('./api');
+const VERSION = require('./package.json').version;
+
+createContext(auditOptions)
+  .then(ctx => {
+    const results = ctx.gates.map(gate => evaluateGate(ctx, gate));
+    const report = buildReport(ctx, results, evaluatePackages(ctx, results));
+    printHeader(report.meta);
+    printResults(report);
+    // Watchers go up before the summary: once "Watching for changes" is
+    // printed, saves must be picked up.
+    if (WATCH) startWatch(ctx, report);
+    finish(report);
+  })
+  .catch(e => {
+    console.error(chalk.red(e.message));
+    process.exit(1);
   });
-  if (secretsFound.length > 0) audit('SECRETS', 'FAIL', `Secrets detected in ${secretsFound.length} file(s).`);
-  else audit('SECRETS', 'PASS', 'No hardcoded secrets detected.');
-} catch (e) { audit('SECRETS', 'WARN', 'Scan failed.'); }
-
-// --- GATE 3: DOCKER GATEKEEPER ---
-try {
-  const dockerfilePath = path.join(PROJECT_PATH, 'Dockerfile');
-  if (fs.existsSync(dockerfilePath)) {
-    const dockerfile = fs.readFileSync(dockerfilePath, 'utf8');
-    const fromLines = dockerfile.match(/^FROM\s+([^\s]+)/gm) || [];
-    let weakTags = [];
-    fromLines.forEach(line => {
-      const image = line.replace(/^FROM\s+/, '').split(/\s+/)[0];
-      if (!image.includes(':') || image.endsWith(':latest')) weakTags.push(image);
-    });
-    if (weakTags.length > 0) audit('DOCKER', 'FAIL', `Unpinned image: ${weakTags[0]}.`);
-    else audit('DOCKER', 'PASS', 'Docker images pinned.');
-  } else { audit('DOCKER', 'WARN', 'No Dockerfile found.'); }
-} catch (e) { audit('DOCKER', 'WARN', 'Scan failed.'); }
-
-// --- GATE 4: CONSOLE SILENCE ---
-try {
-  const jsFiles = globSync('**/*.{ts,tsx,js,jsx}', { 
-    cwd: PROJECT_PATH, 
-    ignore: [...IGNORE_PATTERNS, '**/*.test.*', '**/*.spec.*', '**/test/**', '**/__tests__/**']
-  });
-  
-  let logCount = 0;
-  let logFiles = []; 
-
-  jsFiles.forEach(f => {
-    const content = fs.readFileSync(path.join(PROJECT_PATH, f), 'utf8');
-    let clean = stripStrings(stripComments(content));
-    const matches = clean.match(/\bconsole\.log\s*\(/g);
-    
-    if (matches) {
-      logCount += matches.length;
-      logFiles.push(f);
+
+// --- WATCH MODE ---
+// Re-analyzes only changed files, re-runs only the gates they feed (replaying
+// the previous result for the rest), and redraws the summary in place.
+function startWatch(ctx, report) {
+  const { watchProject } = require('./utils/watcher');
+  const { createIgnoreMatcher } = require('./utils/ignore');
+  const { rescanFiles } = require('./utils/scanner');
+  const { isDockerfile } = require('./utils/dockerfile');
+  const isIgnored = createIgnoreMatcher(ctx.cwd, ctx.ignore, ctx.ignoreFiles);
+  let previous = new Map(report.results.map(r => [r.gate, r]));
+
+  const watcher = watchProject(ctx.cwd, {
+    isIgnored,
+    onChange(files) {
+      const changed = [...files].filter(f => !ctx.changedFiles || ctx.changedFiles.has(f));
+      const affected = rescanFiles(ctx.cwd, ctx.scan, changed.filter(ctx.scanFilter));
+      for (const f of changed) {
+        if (isDockerfile(f) || /\.(dockerignore|ya?ml)$/.test(f)) affected.add('DOCKER');
+        if (LOCKFILES.includes(f) || f === 'package.json') affected.add('LOCKFILE');
+        if (LOCKFILES.includes(f)) affected.add('ADVISORIES');
+        if (path.posix.basename(f) === 'package.json' || f === 'pnpm-workspace.yaml') affected.add('DEP_RANGES');
+        if (/(^|\/)(next\.config|middleware|proxy)\.[cm]?[jt]s$/.test(f) || path.posix.basename(f) === 'package.json') affected.add('NEXT_HARDENING');
+        if (/(^|\/)tsconfig[\w.-]*\.json$/.test(f)) affected.add('TS_STRICT');
+      }
+      if (affected.size === 0) return;
+
+      watchStarted = true;
+      ctx.suppressionCache.clear();
+      ctx.memo = {};
+      const results = ctx.gates.map(gate => (affected.has(gate) ? evaluateGate(ctx, gate) : previous.get(gate)));
+      const next = buildReport(ctx, results, evaluatePackages(ctx, results));
+      previous = new Map(results.map(r => [r.gate, r]));
+
+      console.clear();
+      printHeader(next.meta);
+      logHuman(chalk.gray(`   Changed: ${changed.slice(0, 3).join(', ')}${changed.length > 3 ? ` (+${changed.length - 3} more)` : ''}\n`));
+      printResults(next);
+      finish(next);
     }
   });
 
-  if (logCount > 0) {
-    audit('CONSOLE', 'FAIL', `Found ${logCount} console.log() in ${logFiles.length} file(s).`);
-  } else {
-    audit('CONSOLE', 'PASS', 'No console pollution detected.');
-  }
-} catch (e) { audit('CONSOLE', 'WARN', 'Scan failed.'); }
-
-// --- GATE 5: DEPENDENCY FREEZE ---
-try {
-  const lockfiles = ['package-lock.json', 'yarn.lock', 'pnpm-lock.yaml', 'bun.lockb'];
-  const hasLock = lockfiles.some(f => fs.existsSync(path.join(PROJECT_PATH, f)));
-  if (hasLock) audit('LOCKFILE', 'PASS', 'Dependency tree frozen.');
-  else audit('LOCKFILE', 'FAIL', 'No lockfile found.');
-} catch (e) { audit('LOCKFILE', 'WARN', 'Scan failed.'); }
-
-// --- VERDICT & TELEMETRY ---
-const failed = jsonReport.summary.failed;
-const brokenRuleIds = jsonReport.results.filter(r => r.status === 'FAIL').map(r => r.gate);
-
-trackAudit(failed > 0 ? 'failed' : 'passed', brokenRuleIds);
-
-// --- FINAL OUTPUT ---
-
-if (isJson) {
-  // 🤖 MACHINE OUTPUT (Pure JSON)
-  jsonReport.success = failed === 0;
-  console.log(JSON.stringify(jsonReport, null, 2));
-  process.exit(failed > 0 ? 1 : 0);
-} else {
-  // 👨‍💻 HUMAN OUTPUT (Fancy UI)
-  logHuman(chalk.gray('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━'));
-  if (failed > 0) {
-    logHuman(chalk.red.bold(`\n💥 AUDIT FAILED`));
-    logHuman(chalk.cyan.bold(`\n→ https://www.strictkit.dev/pro?src=cli&f=${failed}\n`));
-    setTimeout(() => process.exit(1), 300);
-  } else {
-    logHuman(chalk.green.bold(`\n✨ AUDIT PASSED`));
-    logHuman(chalk.cyan.bold('\n→ https://www.strictkit.dev/pro?src=cli&f=0\n'));
-    setTimeout(() => process.exit(0), 300);
-  }
-}
\ No newline at end of file
+  process.on('SIGINT', () => {
+    watcher.close();
+    process.exit(0);
+  });
+}
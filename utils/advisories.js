@@ -0,0 +1,199 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_ADVISORIES = ['.strictkit-advisories.json', '.strictkit-advisories'];
+const SEVERITIES = ['low', 'moderate', 'high', 'critical'];
+
+// --- SEMVER ---
+// Just enough semver precedence for OSV ranges; no dependency needed offline.
+
+function parseVersion(version) {
+  const match = String(version).trim().replace(/^[=v]/, '').match(/^(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/);
+  if (!match) return null;
+  return { parts: match.slice(1, 4).map(Number), pre: match[4] ? match[4].split('.') : [] };
+}
+
+/**
+ * Compare two semver versions: negative, zero or positive. OSV's `"0"`
+ * (every version) sorts first; unparseable versions compare as strings.
+ */
+function compareVersions(a, b) {
+  if (a === b) return 0;
+  if (a === '0') return -1;
+  if (b === '0') return 1;
+  const va = parseVersion(a);
+  const vb = parseVersion(b);
+  if (!va || !vb) return String(a).localeCompare(String(b));
+
+  for (let i = 0; i < 3; i++) {
+    if (va.parts[i] !== vb.parts[i]) return va.parts[i] - vb.parts[i];
+  }
+  // A pre-release sorts before its release; identifiers compare numerically when numeric.
+  if (!va.pre.length || !vb.pre.length) return vb.pre.length - va.pre.length;
+  for (let i = 0; i < Math.max(va.pre.length, vb.pre.length); i++) {
+    const x = va.pre[i];
+    const y = vb.pre[i];
+    if (x === undefined) return -1;
+    if (y === undefined) return 1;
+    if (x === y) continue;
+    const nx = /^\d+$/.test(x);
+    const ny = /^\d+$/.test(y);
+    if (nx && ny) return Number(x) - Number(y);
+    if (nx !== ny) return nx ? -1 : 1;
+    return x < y ? -1 : 1;
+  }
+  return 0;
+}
+
+const eventVersion = e => e.introduced || e.fixed || e.last_affected || e.limit;
+
+/**
+ * Whether `version` falls inside an OSV SEMVER/ECOSYSTEM range, following the
+ * OSV evaluation rules: walk the events in version order, `introduced` opens
+ * the range, `fixed`/`limit` close it at that version, `last_affected` after it.
+ */
+function inRange(version, range) {
+  const events = [...(range.events || [])].sort((a, b) => compareVersions(eventVersion(a), eventVersion(b)));
+  let affected = false;
+  for (const e of events) {
+    if (e.introduced !== undefined && compareVersions(version, e.introduced) >= 0) affected = true;
+    if (e.fixed !== undefined && compareVersions(version, e.fixed) >= 0) affected = false;
+    if (e.limit !== undefined && compareVersions(version, e.limit) >= 0) affected = false;
+    if (e.last_affected !== undefined && compareVersions(version, e.last_affected) > 0) affected = false;
+  }
+  return affected;
+}
+
+// --- SEVERITY ---
+
+const CVSS3_WEIGHTS = {
+  AV: { N: 0.85, A: 0.62, L: 0.55, P: 0.2 },
+  AC: { L: 0.77, H: 0.44 },
+  UI: { N: 0.85, R: 0.62 },
+  CIA: { H: 0.56, L: 0.22, N: 0 }
+};
+
+// CVSS v3.1 "round up to one decimal", using the spec's integer arithmetic.
+function roundUp(value) {
+  const int = Math.round(value * 100000);
+  return int % 10000 === 0 ? int / 100000 : (Math.floor(int / 10000) + 1) / 10;
+}
+
+/**
+ * CVSS v3.x base score from a vector string such as
+ * `CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H`, or null if it isn't one.
+ */
+function cvss3Score(vector) {
+  if (!/^CVSS:3\.[01]\//.test(vector || '')) return null;
+  const m = Object.fromEntries(vector.split('/').slice(1).map(p => p.split(':')));
+  const changed = m.S === 'C';
+  const pr = { N: 0.85, L: changed ? 0.68 : 0.62, H: changed ? 0.5 : 0.27 }[m.PR];
+  const values = [CVSS3_WEIGHTS.AV[m.AV], CVSS3_WEIGHTS.AC[m.AC], pr, CVSS3_WEIGHTS.UI[m.UI], CVSS3_WEIGHTS.CIA[m.C], CVSS3_WEIGHTS.CIA[m.I], CVSS3_WEIGHTS.CIA[m.A]];
+  if (values.some(v => v === undefined) || !['U', 'C'].includes(m.S)) return null;
+  const [av, ac, , ui, c, i, a] = values;
+
+  const iss = 1 - (1 - c) * (1 - i) * (1 - a);
+  const impact = changed ? 7.52 * (iss - 0.029) - 3.25 * Math.pow(iss - 0.02, 15) : 6.42 * iss;
+  if (impact <= 0) return 0;
+  const exploitability = 8.22 * av * ac * pr * ui;
+  return roundUp(Math.min((changed ? 1.08 : 1) * (impact + exploitability), 10));
+}
+
+function scoreToSeverity(score) {
+  if (score >= 9) return 'critical';
+  if (score >= 7) return 'high';
+  if (score >= 4) return 'moderate';
+  return 'low';
+}
+
+/**
+ * Severity of an OSV advisory: the database's own label (GitHub's
+ * `database_specific.severity`, `MEDIUM` read as moderate), else the CVSS v3
+ * base score. Returns null when the advisory carries neither.
+ */
+function advisorySeverity(vuln) {
+  const labels = [vuln.database_specific, ...(vuln.affected || []).map(a => a.ecosystem_specific)]
+    .map(d => d && d.severity && String(d.severity).toLowerCase().replace('medium', 'moderate'));
+  const label = labels.find(l => SEVERITIES.includes(l));
+  if (label) return label;
+
+  const scores = (vuln.severity || []).map(s => cvss3Score(s.score)).filter(s => s !== null);
+  return scores.length > 0 ? scoreToSeverity(Math.max(...scores)) : null;
+}
+
+// --- DATABASE ---
+
+function collectVulns(data) {
+  if (Array.isArray(data)) return data.flatMap(collectVulns);
+  if (data && Array.isArray(data.vulns)) return data.vulns;
+  if (data && data.id && data.affected) return [data];
+  return [];
+}
+
+/**
+ * Load OSV advisories from a JSON file (one advisory, an array, or
+ * `{ "vulns": [...] }`) or a directory of such files, e.g. an unzipped OSV
+ * npm export. With no `location`, looks for .strictkit-advisories.json or a
+ * .strictkit-advisories/ directory in the project. Returns
+ * `{ source, vulns }`, or null when no database exists; throws on bad JSON.
+ */
+function loadAdvisories(cwd, location) {
+  const candidates = location ? [path.resolve(cwd, location)] : DEFAULT_ADVISORIES.map(f => path.join(cwd, f));
+  const source = candidates.find(f => fs.existsSync(f));
+  if (!source) {
+    if (location) throw new Error(`${location} does not exist`);
+    return null;
+  }
+
+  const files = fs.statSync(source).isDirectory()
+    ? fs.readdirSync(source).filter(f => f.endsWith('.json')).sort().map(f => path.join(source, f))
+    : [source];
+
+  const byId = new Map();
+  for (const file of files) {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      throw new Error(`${path.relative(cwd, file) || file}: ${e.message}`);
+    }
+    for (const vuln of collectVulns(data)) {
+      if (!vuln.withdrawn && !byId.has(vuln.id)) byId.set(vuln.id, vuln);
+    }
+  }
+  return { source, vulns: [...byId.values()] };
+}
+
+/**
+ * Advisories affecting `name@version` in the npm ecosystem.
+ */
+function matchAdvisories(vulns, name, version) {
+  return vulns.filter(vuln => (vuln.affected || []).some(affected => {
+    const pkg = affected.package || {};
+    if (pkg.ecosystem !== 'npm' || pkg.name !== name) return false;
+    if ((affected.versions || []).includes(version)) return true;
+    return (affected.ranges || []).some(r => ['SEMVER', 'ECOSYSTEM'].includes(r.type) && inRange(version, r));
+  }));
+}
+
+// Lowest `fixed` version above `version` for this package: the upgrade to suggest.
+function fixedVersion(vuln, name, version) {
+  const fixes = (vuln.affected || [])
+    .filter(a => a.package && a.package.name === name)
+    .flatMap(a => (a.ranges || []).flatMap(r => (r.events || []).map(e => e.fixed)))
+    .filter(f => f && compareVersions(f, version) > 0)
+    .sort(compareVersions);
+  return fixes[0] || null;
+}
+
+module.exports = {
+  DEFAULT_ADVISORIES,
+  SEVERITIES,
+  compareVersions,
+  inRange,
+  cvss3Score,
+  advisorySeverity,
+  loadAdvisories,
+  matchAdvisories,
+  fixedVersion
+};
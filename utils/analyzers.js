@@ -0,0 +1,45 @@
+const { findAnyTypes } = require('./ast-analyzer');
+const { findSecrets } = require('./secrets');
+const { NEXT_CONFIG, findClientEnvExposure } = require('./next');
+const { findConsoleCalls } = require('./console');
+
+// Mirrors '**/*.test.*', '**/*.spec.*', '**/test/**', '**/__tests__/**'
+const TEST_FILE = /(^|\/)(test|__tests__)\/|(^|\/)[^/]*\.(test|spec)\./;
+
+/**
+ * File-level gates. Each one declares which files it wants (`accepts`, on a
+ * posix-style relative path) and how to analyze one file's content. The
+ * scanner reads every file once and hands it to every interested analyzer.
+ * Must stay requireable from worker threads: no shared state.
+ *
+ * Bump `version` whenever an analyzer's output can change for the same
+ * input, so cached findings from older runs are not reused.
+ */
+const ANALYZERS = [
+  {
+    gate: 'NO_ANY',
+    version: 1,
+    accepts: file => /\.tsx?$/.test(file),
+    analyze: findAnyTypes
+  },
+  {
+    gate: 'SECRETS',
+    version: 2,
+    accepts: file => (/\.(ts|tsx|js|jsx|json|ya?ml|pem|key)$/.test(file) || /(^|\/)\.env(\.[^/]+)?$/.test(file)) && !TEST_FILE.test(file),
+    analyze: findSecrets
+  },
+  {
+    gate: 'CONSOLE',
+    version: 3,
+    accepts: file => /\.(ts|tsx|mts|js|jsx|mjs|cjs)$/.test(file) && !TEST_FILE.test(file),
+    analyze: findConsoleCalls
+  },
+  {
+    gate: 'CLIENT_ENV',
+    version: 2,
+    accepts: file => (/\.(ts|tsx|js|jsx)$/.test(file) || NEXT_CONFIG.test(file) || /(^|\/)\.env(\.[^/]+)?$/.test(file)) && !TEST_FILE.test(file),
+    analyze: findClientEnvExposure
+  }
+];
+
+module.exports = { ANALYZERS };
@@ -1,31 +1,101 @@
+const path = require('path');
 const ts = require('typescript');
+const { makeSnippet } = require('./findings');
 
-/**
- * Count explicit `any` type usages in a TypeScript file using the compiler AST.
- * Catches: `: any`, `as any`, `any[]`, `<any>`, `string | any`, etc.
- */
-function countAnyTypes(filePath, content) {
-  const scriptKind = filePath.endsWith('.tsx') ? ts.ScriptKind.TSX : ts.ScriptKind.TS;
+const SCRIPT_KINDS = {
+  '.ts': ts.ScriptKind.TS,
+  '.tsx': ts.ScriptKind.TSX,
+  '.js': ts.ScriptKind.JS,
+  '.jsx': ts.ScriptKind.JSX,
+  '.mts': ts.ScriptKind.TS,
+  '.mjs': ts.ScriptKind.JS,
+  '.cjs': ts.ScriptKind.JS
+};
 
-  const sourceFile = ts.createSourceFile(
+function parse(filePath, content) {
+  const ext = filePath.slice(filePath.lastIndexOf('.'));
+  const scriptKind = SCRIPT_KINDS[ext] || ts.ScriptKind.TS;
+
+  return ts.createSourceFile(
     filePath,
     content,
     ts.ScriptTarget.Latest,
     true,
     scriptKind
   );
+}
 
-  let count = 0;
+/**
+ * Find explicit `any` type usages in a TypeScript file using the compiler AST.
+ * Catches: `: any`, `as any`, `any[]`, `<any>`, `string | any`, etc.
+ * Returns one finding per usage with 1-based line/column.
+ */
+function findAnyTypes(filePath, content) {
+  const sourceFile = parse(filePath, content);
+  const lines = content.split('\n');
+  const findings = [];
 
   function visit(node) {
     if (node.kind === ts.SyntaxKind.AnyKeyword) {
-      count++;
+      const { line, character } = sourceFile.getLineAndCharacterOfPosition(node.getStart(sourceFile));
+      findings.push({
+        file: filePath,
+        line: line + 1,
+        column: character + 1,
+        rule: 'explicit-any',
+        snippet: makeSnippet(lines[line])
+      });
     }
     ts.forEachChild(node, visit);
   }
 
   visit(sourceFile);
-  return count;
+  return findings;
+}
+
+/**
+ * Count explicit `any` type usages in a TypeScript file.
+ */
+function countAnyTypes(filePath, content) {
+  return findAnyTypes(filePath, content).length;
+}
+
+/**
+ * Collect every comment in a JS/TS file by walking the AST, so comment-like
+ * text inside strings, templates and regex literals is never mistaken for a
+ * comment. Returns `{ line, endLine, text }` with 1-based lines.
+ */
+function extractComments(filePath, content) {
+  const sourceFile = parse(filePath, content);
+  const seen = new Set();
+  const comments = [];
+
+  function collect(ranges) {
+    for (const range of ranges || []) {
+      if (seen.has(range.pos)) continue;
+      seen.add(range.pos);
+      comments.push({
+        line: sourceFile.getLineAndCharacterOfPosition(range.pos).line + 1,
+        endLine: sourceFile.getLineAndCharacterOfPosition(range.end).line + 1,
+        text: content.slice(range.pos, range.end)
+      });
+    }
+  }
+
+  function visit(node) {
+    collect(ts.getLeadingCommentRanges(content, node.getFullStart()));
+    collect(ts.getTrailingCommentRanges(content, node.getEnd()));
+    ts.forEachChild(node, visit);
+  }
+
+  visit(sourceFile);
+  collect(ts.getLeadingCommentRanges(content, sourceFile.endOfFileToken.getFullStart()));
+  return comments.sort((a, b) => a.line - b.line);
+}
+
+/** Whether `parse` reads this file as JS/TS (by extension). */
+function isScriptFile(filePath) {
+  return Object.prototype.hasOwnProperty.call(SCRIPT_KINDS, path.extname(filePath));
 }
 
-module.exports = { countAnyTypes };
+module.exports = { parse, isScriptFile, countAnyTypes, findAnyTypes, extractComments };
@@ -0,0 +1,87 @@
+const fs = require('fs');
+
+const BASELINE_VERSION = 1;
+const DEFAULT_BASELINE_FILE = '.strictkit-baseline.json';
+
+// Line numbers drift as code is edited, so findings are matched on
+// file + rule + snippet instead.
+function fingerprint(finding) {
+  return `${finding.rule}|${finding.snippet}`;
+}
+
+/**
+ * Build a baseline snapshot from an audit report: the fingerprints of every
+ * finding of every non-passing gate, grouped by gate and file. A failure
+ * without findings (e.g. no lockfile) is recorded by its message.
+ */
+function createBaseline(report) {
+  const gates = {};
+  for (const result of report.results) {
+    if (result.status !== 'FAIL') continue;
+    const files = {};
+    for (const f of result.findings) {
+      (files[f.file] = files[f.file] || []).push(fingerprint(f));
+    }
+    gates[result.gate] = { status: result.status, files, ...(result.findings.length === 0 ? { message: result.message } : {}) };
+  }
+  return { version: BASELINE_VERSION, createdAt: report.meta.timestamp, gates };
+}
+
+/**
+ * Read a baseline file. Returns null when it does not exist; throws on a
+ * malformed or incompatible file so a broken baseline never passes silently.
+ */
+function loadBaseline(file) {
+  if (!fs.existsSync(file)) return null;
+  const baseline = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (baseline.version !== BASELINE_VERSION || typeof baseline.gates !== 'object') {
+    throw new Error(`Unsupported baseline format in ${file}`);
+  }
+  return baseline;
+}
+
+/**
+ * Split a gate result's findings into new and baselined ones and count
+ * baselined findings that no longer occur. A failing gate with only
+ * baselined findings, or the same gate-level failure the baseline recorded
+ * (no findings then or now), is downgraded to PASS.
+ *
+ * `inScope(file)` limits the fixed count to files the gate actually looked
+ * at (e.g. the changed files of a diff audit).
+ */
+function applyBaseline(baseline, { gate, status, message, findings }, inScope = () => true) {
+  const entry = baseline.gates[gate] || { files: {} };
+  const remaining = new Map();
+  for (const [file, prints] of Object.entries(entry.files)) {
+    for (const p of prints) {
+      const key = `${file}\0${p}`;
+      remaining.set(key, (remaining.get(key) || 0) + 1);
+    }
+  }
+
+  const fresh = [];
+  const baselined = [];
+  for (const f of findings) {
+    const key = `${f.file}\0${fingerprint(f)}`;
+    if (remaining.get(key) > 0) {
+      remaining.set(key, remaining.get(key) - 1);
+      baselined.push(f);
+    } else {
+      fresh.push(f);
+    }
+  }
+  const fixed = [...remaining]
+    .filter(([key]) => inScope(key.slice(0, key.indexOf('\0'))))
+    .reduce((sum, [, n]) => sum + n, 0);
+
+  let newStatus = status;
+  if (status === 'FAIL') {
+    const gateLevelBaselined = findings.length === 0 && entry.status === 'FAIL' &&
+      Object.keys(entry.files).length === 0 && (entry.message === undefined || entry.message === message);
+    if ((findings.length > 0 && fresh.length === 0) || gateLevelBaselined) newStatus = 'PASS';
+  }
+
+  return { status: newStatus, findings: fresh, baselined, fixed };
+}
+
+module.exports = { DEFAULT_BASELINE_FILE, createBaseline, loadBaseline, applyBaseline };
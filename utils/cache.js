@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CACHE_DIR = path.join('node_modules', '.cache', 'strictkit');
+const CACHE_FILE = 'findings.json';
+
+function cacheDir(cwd) {
+  return path.join(cwd, CACHE_DIR);
+}
+
+/**
+ * Cache key for one file: its path (analyzers behave differently per
+ * extension) plus a hash of its content.
+ */
+function cacheKey(file, content) {
+  return crypto.createHash('sha256').update(file).update('\0').update(content).digest('hex');
+}
+
+/**
+ * Load cached findings for this StrictKit version. Entries are
+ * `{ [key]: { 'GATE@gateVersion': findings } }`. A missing, corrupt or
+ * other-version cache is simply empty.
+ */
+function loadCache(cwd, version) {
+  try {
+    const data = JSON.parse(fs.readFileSync(path.join(cacheDir(cwd), CACHE_FILE), 'utf8'));
+    if (data.version === version && data.entries && typeof data.entries === 'object') return data.entries;
+  } catch (e) { /* no usable cache */ }
+  return {};
+}
+
+/**
+ * Persist the entries used by this run. Anything not used (deleted or
+ * changed files) is dropped, so the cache never grows past the project.
+ * Write failures are ignored: the cache is only an optimization.
+ */
+function saveCache(cwd, version, entries) {
+  try {
+    fs.mkdirSync(cacheDir(cwd), { recursive: true });
+    fs.writeFileSync(path.join(cacheDir(cwd), CACHE_FILE), JSON.stringify({ version, entries }));
+  } catch (e) { /* read-only checkout, etc. */ }
+}
+
+function clearCache(cwd) {
+  const dir = cacheDir(cwd);
+  const existed = fs.existsSync(dir);
+  fs.rmSync(dir, { recursive: true, force: true });
+  return existed;
+}
+
+module.exports = { CACHE_DIR, cacheKey, loadCache, saveCache, clearCache };
@@ -0,0 +1,110 @@
+const ts = require('typescript');
+const { parse } = require('./ast-analyzer');
+const { makeSnippet } = require('./findings');
+const { isClientModule, isPagesFile } = require('./next');
+
+// Debug output: never belongs in shipped code.
+const DEBUG_METHODS = new Set([
+  'log', 'debug', 'info', 'trace', 'dir', 'dirxml', 'table', 'count', 'countReset',
+  'time', 'timeLog', 'timeEnd', 'group', 'groupCollapsed', 'groupEnd'
+]);
+// Error reporting: what servers log on purpose, but noise in a user's browser console.
+const ERROR_METHODS = new Set(['error', 'warn']);
+const GLOBAL_OBJECTS = new Set(['window', 'globalThis', 'self']);
+
+const isGlobal = (node, name) => ts.isPropertyAccessExpression(node) &&
+  ts.isIdentifier(node.expression) && GLOBAL_OBJECTS.has(node.expression.text) && node.name.text === name;
+
+// `console.log` / `console['log']` -> 'log'.
+function memberName(node) {
+  if (ts.isPropertyAccessExpression(node)) return node.name.text;
+  if (ts.isElementAccessExpression(node) && ts.isStringLiteralLike(node.argumentExpression)) return node.argumentExpression.text;
+  return null;
+}
+
+/**
+ * Names bound to `console` itself (`const c = console`) and to its methods
+ * (`const { log } = console`, `const debug = console.debug.bind(console)`),
+ * anywhere in the file.
+ */
+function consoleAliases(sourceFile) {
+  const objects = new Set(['console']);
+  const methods = new Map();
+  const isConsole = node => (ts.isIdentifier(node) && objects.has(node.text)) || isGlobal(node, 'console');
+
+  (function visit(node) {
+    if (ts.isVariableDeclaration(node) && node.initializer) {
+      let init = node.initializer;
+      // `console.log.bind(console)`
+      if (ts.isCallExpression(init) && ts.isPropertyAccessExpression(init.expression) && init.expression.name.text === 'bind') init = init.expression.expression;
+      if (ts.isIdentifier(node.name) && isConsole(init)) {
+        objects.add(node.name.text);
+      } else if (ts.isIdentifier(node.name) && memberName(init) && isConsole(init.expression)) {
+        methods.set(node.name.text, { method: memberName(init), declaration: node });
+      } else if (ts.isObjectBindingPattern(node.name) && isConsole(init)) {
+        for (const element of node.name.elements) {
+          const key = element.propertyName || element.name;
+          if (ts.isIdentifier(element.name) && (ts.isIdentifier(key) || ts.isStringLiteral(key))) {
+            methods.set(element.name.text, { method: key.text, declaration: node });
+          }
+        }
+      }
+    }
+    ts.forEachChild(node, visit);
+  })(sourceFile);
+
+  return { isConsole, methods };
+}
+
+/**
+ * Find debug leftovers on the AST, so strings, comments, regex literals and
+ * template expressions never confuse it:
+ *   console.<method>   console.log/debug/info/trace/dir/table/..., through
+ *                      `window.console`, `console['log']`, aliases and
+ *                      destructuring; console.error/warn only in client code
+ *   debugger           `debugger` statements
+ *   alert              `alert()` / `window.alert()` in client code
+ * Client code is a `'use client'` module or a Pages Router component. A
+ * `pages/` file is only the latter inside a Next.js app, which this file
+ * alone cannot tell: client-only findings there carry `pagesRouter: true`
+ * for the caller to keep or drop.
+ */
+function findConsoleCalls(filePath, content) {
+  const sourceFile = parse(filePath, content);
+  const lines = content.split('\n');
+  const clientModule = isClientModule(sourceFile);
+  const client = clientModule || isPagesFile(filePath);
+  const { isConsole, methods } = consoleAliases(sourceFile);
+  const findings = [];
+
+  const push = (node, rule) => {
+    const { line, character } = sourceFile.getLineAndCharacterOfPosition(node.getStart(sourceFile));
+    const pagesRouter = !clientModule && (rule === 'alert' || ERROR_METHODS.has(rule.slice('console.'.length)));
+    findings.push({ file: filePath, line: line + 1, column: character + 1, rule, snippet: makeSnippet(lines[line]), ...(pagesRouter ? { pagesRouter } : {}) });
+  };
+  const ruleFor = method => (DEBUG_METHODS.has(method) || (client && ERROR_METHODS.has(method)) ? `console.${method}` : null);
+
+  function visit(node) {
+    if (node.kind === ts.SyntaxKind.DebuggerStatement) {
+      push(node, 'debugger');
+    } else if ((ts.isPropertyAccessExpression(node) || ts.isElementAccessExpression(node)) && isConsole(node.expression)) {
+      // Aliases are reported where they are called, not where they are declared.
+      const declaration = [...methods.values()].some(a => a.declaration.initializer === node ||
+        (ts.isCallExpression(a.declaration.initializer) && a.declaration.initializer.expression.expression === node));
+      const rule = ruleFor(memberName(node));
+      if (rule && !declaration) push(node, rule);
+    } else if (ts.isCallExpression(node) && ts.isIdentifier(node.expression) && methods.has(node.expression.text)) {
+      const rule = ruleFor(methods.get(node.expression.text).method);
+      if (rule) push(node, rule);
+    } else if (client && ts.isCallExpression(node) &&
+      ((ts.isIdentifier(node.expression) && node.expression.text === 'alert') || isGlobal(node.expression, 'alert'))) {
+      push(node, 'alert');
+    }
+    ts.forEachChild(node, visit);
+  }
+
+  visit(sourceFile);
+  return findings.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+module.exports = { DEBUG_METHODS, findConsoleCalls };
@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { globSync } = require('glob');
+const { makeSnippet } = require('./findings');
+const { substitute, imagePinning } = require('./dockerfile');
+
+const COMPOSE_FILE = /^(docker-)?compose(\.[\w-]+)*\.ya?ml$/i;
+const CONTAINER_KEYS = new Set(['containers', 'initContainers', 'ephemeralContainers']);
+
+/** Whether a project-relative path names a compose file (`compose.yaml`, `docker-compose.prod.yml`). */
+function isComposeFile(file) {
+  return COMPOSE_FILE.test(path.posix.basename(file));
+}
+
+// --- YAML ---
+
+// Failsafe schema: every scalar stays a string, so `tag: 1.20` is not read as 1.2.
+function parseYaml(content) {
+  const lineCounter = new YAML.LineCounter();
+  const docs = YAML.parseAllDocuments(content, { lineCounter, schema: 'failsafe' });
+  const error = docs.map(d => d.errors[0]).find(Boolean);
+  return { docs: error ? [] : docs, error: error ? error.message.split('\n')[0] : null, lineCounter };
+}
+
+const entries = map => (YAML.isMap(map) ? map.items.filter(p => YAML.isScalar(p.key)) : []);
+const get = (map, key) => {
+  const pair = entries(map).find(p => p.key.value === key);
+  return pair ? pair.value : null;
+};
+const scalar = node => (YAML.isScalar(node) && node.value ? String(node.value) : null);
+
+// Every container `image:` node in a Kubernetes object, at any depth
+// (Pod, Deployment, CronJob's jobTemplate, List items, ...).
+function containerImages(node, found = []) {
+  if (YAML.isSeq(node)) node.items.forEach(item => containerImages(item, found));
+  for (const pair of entries(node)) {
+    if (CONTAINER_KEYS.has(pair.key.value) && YAML.isSeq(pair.value)) {
+      for (const container of pair.value.items) {
+        const image = get(container, 'image');
+        if (image) found.push(image);
+      }
+    }
+    containerImages(pair.value, found);
+  }
+  return found;
+}
+
+// Helm's `image: { registry, repository, tag, digest }` blocks in values files.
+function helmImages(node, found = []) {
+  if (YAML.isSeq(node)) node.items.forEach(item => helmImages(item, found));
+  for (const pair of entries(node)) {
+    if (pair.key.value === 'image' && scalar(get(pair.value, 'repository'))) found.push(pair.value);
+    else helmImages(pair.value, found);
+  }
+  return found;
+}
+
+// --- AUDIT ---
+
+/**
+ * Image references in one YAML file, as [{ line, col, written, image }] where
+ * `image` is the resolved reference (null when it depends on an unset variable):
+ *   compose    `services.<name>.image`, with `${VAR:-default}` interpolation;
+ *              services with a `build` key are skipped
+ *   k8s        `image:` of every container in a document with apiVersion/kind
+ *   helm       `image.repository`/`tag`/`digest` in a chart's values*.yaml;
+ *              an empty tag falls back to the chart's appVersion, as Helm does
+ * Throws with the parser message when the YAML is invalid.
+ */
+function imageReferences(file, content, { appVersion = null } = {}) {
+  const { docs, error, lineCounter } = parseYaml(content);
+  if (error) throw new Error(error);
+  const refs = [];
+
+  for (const doc of docs) {
+    const root = doc.contents;
+    if (isComposeFile(file)) {
+      for (const service of entries(get(root, 'services'))) {
+        // With `build:`, `image:` names the image compose builds, not one it pulls.
+        if (get(service.value, 'build')) continue;
+        const node = get(service.value, 'image');
+        const written = scalar(node);
+        if (written) refs.push({ node, written, image: substitute(written) });
+      }
+    } else if (appVersion !== null) {
+      for (const block of helmImages(root)) {
+        const repository = scalar(get(block, 'repository'));
+        const registry = scalar(get(block, 'registry'));
+        const digest = scalar(get(block, 'digest'));
+        const tag = scalar(get(block, 'tag')) || appVersion;
+        const name = registry ? `${registry}/${repository}` : repository;
+        const image = `${name}${tag ? `:${tag}` : ''}${digest ? `@${digest}` : ''}`;
+        refs.push({ node: get(block, 'tag') || get(block, 'repository'), written: image, image });
+      }
+    } else if (scalar(get(root, 'apiVersion')) && scalar(get(root, 'kind'))) {
+      for (const node of containerImages(root)) {
+        const written = scalar(node);
+        if (written) refs.push({ node, written, image: written });
+      }
+    }
+  }
+
+  return refs.map(({ node, written, image }) => ({ ...lineCounter.linePos(node.range[0]), written, image }));
+}
+
+// Helm values files: values*.yaml beside a Chart.yaml. Returns the chart's
+// appVersion ('' when unset), or null when the file is not a values file.
+function chartAppVersion(cwd, file) {
+  if (!/^values([.-][\w.-]+)?\.ya?ml$/i.test(path.posix.basename(file))) return null;
+  const chart = path.join(cwd, path.posix.dirname(file), 'Chart.yaml');
+  if (!fs.existsSync(chart)) return null;
+  try {
+    const parsed = YAML.parse(fs.readFileSync(chart, 'utf8'), { schema: 'failsafe' });
+    return parsed && parsed.appVersion ? String(parsed.appVersion) : '';
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Hold every image in compose files, Kubernetes manifests and Helm values
+ * to the DOCKER pinning rule. Files are only parsed when they look like one
+ * of those; Helm templates (`{{ }}`) and other YAML that fails to parse are
+ * skipped, except compose files, which are reported as `invalid-yaml`.
+ * Returns { files: [file with images or errors], findings }.
+ */
+function auditDeployments(cwd, { ignore = [], isIgnored = () => false, requireDigest = false } = {}) {
+  const candidates = globSync('**/*.{yml,yaml}', { cwd, ignore, posix: true, nodir: true, dot: true })
+    .filter(f => !isIgnored(f))
+    .sort();
+  const files = [];
+  const findings = [];
+
+  for (const file of candidates) {
+    const content = fs.readFileSync(path.join(cwd, file), 'utf8');
+    const appVersion = chartAppVersion(cwd, file);
+    const compose = isComposeFile(file);
+    if (!compose && appVersion === null && !/^\s*kind\s*:/m.test(content)) continue;
+
+    let refs;
+    try {
+      refs = imageReferences(file, content, { appVersion });
+    } catch (e) {
+      if (compose) {
+        files.push(file);
+        findings.push({ file, line: null, column: null, rule: 'invalid-yaml', snippet: makeSnippet(e.message) });
+      }
+      continue;
+    }
+    if (refs.length === 0) continue;
+    files.push(file);
+
+    const lines = content.split(/\r?\n/);
+    for (const { line, col, written, image } of refs) {
+      const rule = imagePinning(image, { requireDigest });
+      if (rule) findings.push({ file, line, column: col, rule, snippet: makeSnippet(lines[line - 1]), image: image === null ? written : image });
+    }
+  }
+
+  return { files, findings };
+}
+
+module.exports = { isComposeFile, imageReferences, auditDeployments };
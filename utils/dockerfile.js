@@ -0,0 +1,257 @@
+const fs = require('fs');
+const path = require('path');
+const { globSync } = require('glob');
+const { makeSnippet } = require('./findings');
+
+const DOCKERFILE_PATTERNS = ['**/Dockerfile', '**/Dockerfile.*', '**/*.dockerfile'];
+
+// `dockerfile.js`, `Dockerfile.test.ts`: code about Dockerfiles, not Dockerfiles.
+const NOT_A_DOCKERFILE = /\.(dockerignore|[cm]?[jt]sx?|json|md|ya?ml|sh|txt)$/i;
+
+/** Whether a project-relative path names a Dockerfile (`Dockerfile.*`, `*.dockerfile`). */
+function isDockerfile(file) {
+  const name = path.posix.basename(file);
+  if (NOT_A_DOCKERFILE.test(name)) return false;
+  return /^Dockerfile(\..+)?$/i.test(name) || /\.dockerfile$/i.test(name);
+}
+
+/**
+ * Every Dockerfile in the project, posix-relative and sorted. `isIgnored`
+ * drops paths the project's ignore files exclude.
+ */
+function findDockerfiles(cwd, ignore = [], isIgnored = () => false) {
+  return globSync(DOCKERFILE_PATTERNS, { cwd, ignore, nocase: true, posix: true, nodir: true, dot: true })
+    .filter(f => isDockerfile(f) && !isIgnored(f))
+    .sort();
+}
+
+// --- PARSER ---
+
+/**
+ * Split a Dockerfile into instructions, following the builder's rules:
+ * `# escape=` parser directive, line continuations (with comment lines
+ * inside them dropped) and heredoc bodies (`RUN <<EOF ... EOF`), which are
+ * kept out of the instruction stream. Returns
+ * [{ instruction, args, line, lines: [{ line, text }] }] with 1-based lines.
+ */
+function parseDockerfile(content) {
+  const physical = content.split(/\r?\n/);
+  const directive = physical.slice(0, 5).map(l => l.match(/^#\s*escape\s*=\s*([\\`])\s*$/i)).find(Boolean);
+  const escape = directive ? directive[1] : '\\';
+
+  const instructions = [];
+  let current = null;
+  let heredocs = [];
+
+  for (let i = 0; i < physical.length; i++) {
+    const text = physical[i];
+    if (heredocs.length > 0) {
+      if (text.replace(/^\t+/, '') === heredocs[0]) heredocs.shift();
+      continue;
+    }
+    if (/^\s*$/.test(text) || /^\s*#/.test(text)) continue;
+
+    const continues = text.trimEnd().endsWith(escape);
+    const body = continues ? text.trimEnd().slice(0, -1) : text;
+    if (!current) {
+      const match = body.match(/^\s*([A-Za-z]+)(\s+|$)(.*)$/);
+      if (!match) continue;
+      current = { instruction: match[1].toUpperCase(), args: match[3], line: i + 1, lines: [{ line: i + 1, text }] };
+    } else {
+      current.args = `${current.args.trimEnd()} ${body.trim()}`;
+      current.lines.push({ line: i + 1, text });
+    }
+
+    if (!continues) {
+      current.args = current.args.trim();
+      instructions.push(current);
+      heredocs = [...current.args.matchAll(/<<-?\s*(["']?)([A-Za-z_][\w-]*)\1/g)].map(m => m[2]);
+      current = null;
+    }
+  }
+  if (current) {
+    current.args = current.args.trim();
+    instructions.push(current);
+  }
+  return instructions;
+}
+
+// Leading `--flag` / `--flag=value` options, then the remaining words.
+function splitFlags(args) {
+  const words = args.split(/\s+/).filter(Boolean);
+  const flags = {};
+  while (words.length > 0 && words[0].startsWith('--')) {
+    const [name, ...value] = words.shift().slice(2).split('=');
+    flags[name.toLowerCase()] = value.join('=');
+  }
+  return { flags, words };
+}
+
+/**
+ * Expand `$VAR`, `${VAR}`, `${VAR:-default}` and `${VAR:+alt}` (the colon is
+ * optional, as in compose files); null when a variable has no value, since
+ * the result then depends on the build command or environment.
+ */
+function substitute(value, vars = new Map()) {
+  let unresolved = false;
+  const expanded = value.replace(/\$(?:\{([A-Za-z_]\w*)(?::?([-+?])([^}]*))?\}|([A-Za-z_]\w*))/g, (m, braced, op, word, bare) => {
+    const name = braced || bare;
+    const set = vars.has(name) && vars.get(name) !== '';
+    if (op === '-') return set ? vars.get(name) : word;
+    if (op === '+') return set ? word : '';
+    if (!set) unresolved = true;
+    return set ? vars.get(name) : m;
+  });
+  return unresolved ? null : expanded;
+}
+
+// `ARG NAME=value NAME2` -> [[NAME, value], [NAME2, undefined]]
+function argDefaults(args) {
+  return args.split(/\s+/).filter(Boolean).map(pair => {
+    const eq = pair.indexOf('=');
+    return eq === -1 ? [pair, undefined] : [pair.slice(0, eq), pair.slice(eq + 1).replace(/^(["'])(.*)\1$/, '$2')];
+  });
+}
+
+/** `repo[:tag][@digest]` split into parts; the registry port is not a tag. */
+function parseImage(ref) {
+  const [name, digest = null] = ref.split('@');
+  const slash = name.lastIndexOf('/');
+  const colon = name.lastIndexOf(':');
+  const tag = colon > slash ? name.slice(colon + 1) : null;
+  return { repository: colon > slash ? name.slice(0, colon) : name, tag, digest };
+}
+
+/**
+ * The pinning rule an image reference breaks, or null: `unpinned-image` for
+ * no tag, `:latest` or an unresolved variable (`resolved` null), and
+ * `missing-digest` for a tag without `@sha256:` when `requireDigest` is set.
+ */
+function imagePinning(resolved, { requireDigest = false } = {}) {
+  if (resolved === null) return 'unpinned-image';
+  const { tag, digest } = parseImage(resolved);
+  if (!digest && (!tag || tag === 'latest')) return 'unpinned-image';
+  if (requireDigest && !digest) return 'missing-digest';
+  return null;
+}
+
+const ROOT_USERS = new Set(['root', '0']);
+// Distroless and similar images publish non-root variants under these tags.
+const NON_ROOT_TAG = /(^|[-_.])(nonroot|rootless)([-_.]|$)/;
+
+// --- AUDIT ---
+
+/**
+ * Check one Dockerfile. Rules:
+ *   unpinned-image             `FROM`/`COPY --from` image with no tag, `:latest`
+ *                              or a tag left to an undefaulted build ARG
+ *   missing-digest             image without `@sha256:` (only with `requireDigest`)
+ *   root-user                  final stage never switches away from root
+ *   remote-add                 `ADD` of a URL without `--checksum`
+ *   copy-without-dockerignore  `COPY .` with no .dockerignore beside the file
+ * Stage names, `scratch` and `--platform` flags are understood, and global
+ * ARGs are substituted into `FROM` lines.
+ */
+function auditDockerfile(file, content, { requireDigest = false, hasDockerignore = false } = {}) {
+  const instructions = parseDockerfile(content);
+  const findings = [];
+  const stages = [];
+  const globalArgs = new Map();
+
+  // Instruction keywords are case-insensitive (`from node:20`); image names are not.
+  const indexOf = (text, token) => {
+    const index = text.indexOf(token);
+    return index !== -1 ? index : text.toUpperCase().indexOf(token.toUpperCase());
+  };
+  const locate = (instr, token) => {
+    for (const { line, text } of instr.lines) {
+      const index = token ? indexOf(text, token) : -1;
+      if (index !== -1) return { line, column: index + 1, text };
+    }
+    return { line: instr.line, column: null, text: instr.lines[0].text };
+  };
+  const report = (instr, rule, token, detail) => {
+    const at = locate(instr, token);
+    findings.push({ file, line: at.line, column: at.column, rule, snippet: makeSnippet(at.text), ...(detail ? { image: detail } : {}) });
+  };
+  const isStage = name => stages.some(s => s.name && s.name === name.toLowerCase());
+
+  const checkImage = (instr, written, resolved) => {
+    if (resolved !== null && (resolved === 'scratch' || isStage(resolved) || /^\d+$/.test(resolved))) return;
+    const rule = imagePinning(resolved, { requireDigest });
+    if (rule) report(instr, rule, written, resolved === null ? written : resolved);
+  };
+
+  for (const instr of instructions) {
+    const stage = stages[stages.length - 1];
+
+    if (instr.instruction === 'ARG' && !stage) {
+      for (const [name, value] of argDefaults(instr.args)) globalArgs.set(name, value === undefined ? '' : value);
+    } else if (instr.instruction === 'FROM') {
+      const { words } = splitFlags(instr.args);
+      const written = words[0] || '';
+      const resolved = substitute(written, globalArgs);
+      const name = words[1] && words[1].toLowerCase() === 'as' && words[2] ? words[2].toLowerCase() : null;
+      checkImage(instr, written, resolved);
+
+      const parent = resolved && stages.find(s => s.name === resolved.toLowerCase());
+      stages.push({
+        name,
+        from: instr,
+        user: parent ? parent.user : null,
+        userInstr: parent ? parent.userInstr : null,
+        nonRootImage: parent ? parent.nonRootImage : Boolean(resolved && NON_ROOT_TAG.test(parseImage(resolved).tag || ''))
+      });
+    } else if (!stage) {
+      continue;
+    } else if (instr.instruction === 'USER') {
+      stage.user = instr.args.split(':')[0].trim();
+      stage.userInstr = instr;
+    } else if (instr.instruction === 'COPY' || instr.instruction === 'ADD') {
+      const { flags, words } = splitFlags(instr.args);
+      if (flags.from !== undefined) {
+        checkImage(instr, flags.from, substitute(flags.from, globalArgs));
+        continue;
+      }
+      if (words[0] && words[0].startsWith('[')) continue; // JSON form: rarely `.`, not worth parsing
+      const sources = words.slice(0, -1);
+      if (instr.instruction === 'ADD' && flags.checksum === undefined) {
+        const remote = sources.find(s => /^(https?:\/\/|git@)/.test(s));
+        if (remote) report(instr, 'remote-add', remote);
+      }
+      if (!hasDockerignore && sources.some(s => s === '.' || s === './')) {
+        report(instr, 'copy-without-dockerignore', instr.instruction);
+      }
+    }
+  }
+
+  const final = stages[stages.length - 1];
+  if (final && !final.nonRootImage) {
+    if (!final.user) report(final.from, 'root-user', 'FROM');
+    else if (ROOT_USERS.has(final.user)) report(final.userInstr, 'root-user', 'USER');
+  }
+
+  findings.sort((a, b) => a.line - b.line || (a.column || 0) - (b.column || 0));
+  return { stages: stages.length, findings };
+}
+
+/**
+ * Audit every Dockerfile in the project. A Dockerfile counts as having a
+ * .dockerignore when one sits in its directory (its usual build context),
+ * at the project root, or as `<Dockerfile>.dockerignore` beside it.
+ * Returns { files: [file], findings }.
+ */
+function auditDockerfiles(cwd, { ignore = [], isIgnored, requireDigest = false } = {}) {
+  const files = findDockerfiles(cwd, ignore, isIgnored);
+  const findings = [];
+  for (const file of files) {
+    const dir = path.posix.dirname(file);
+    const hasDockerignore = [path.posix.join(dir, '.dockerignore'), '.dockerignore', `${file}.dockerignore`]
+      .some(f => fs.existsSync(path.join(cwd, f)));
+    const content = fs.readFileSync(path.join(cwd, file), 'utf8');
+    findings.push(...auditDockerfile(file, content, { requireDigest, hasDockerignore }).findings);
+  }
+  return { files, findings };
+}
+
+module.exports = { isDockerfile, findDockerfiles, parseDockerfile, parseImage, substitute, imagePinning, auditDockerfile, auditDockerfiles };
@@ -0,0 +1,28 @@
+const MAX_SNIPPET = 80;
+
+/**
+ * Convert a character offset into a 1-based line/column pair.
+ */
+function lineColumnAt(content, index) {
+  const before = content.slice(0, index);
+  const line = before.split('\n').length;
+  const column = index - before.lastIndexOf('\n');
+  return { line, column };
+}
+
+/**
+ * Trim a source line down to a short, single-line snippet.
+ */
+function makeSnippet(line) {
+  const text = (line || '').trim();
+  return text.length > MAX_SNIPPET ? `${text.slice(0, MAX_SNIPPET - 1)}…` : text;
+}
+
+/**
+ * Mask a sensitive value, keeping only a short prefix for triage.
+ */
+function redact(value) {
+  return `${value.slice(0, 4)}${'*'.repeat(8)}`;
+}
+
+module.exports = { lineColumnAt, makeSnippet, redact };
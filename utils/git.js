@@ -0,0 +1,88 @@
+const { execFileSync } = require('child_process');
+
+function git(cwd, args) {
+  return execFileSync('git', ['-c', 'core.quotePath=false', ...args], {
+    cwd,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe'],
+    maxBuffer: 64 * 1024 * 1024
+  });
+}
+
+/**
+ * Parse `git diff --unified=0` output into a map of file → added line ranges
+ * ([start, end], 1-based, inclusive).
+ */
+function parseDiff(diff) {
+  const changed = new Map();
+  let current = null;
+
+  for (const line of diff.split('\n')) {
+    if (line.startsWith('+++ ')) {
+      const target = line.slice(4).replace(/\t$/, '');
+      current = target === '/dev/null' ? null : target.replace(/^b\//, '');
+      if (current && !changed.has(current)) changed.set(current, []);
+      continue;
+    }
+    const hunk = current && line.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/);
+    if (hunk) {
+      const start = Number(hunk[1]);
+      const count = hunk[2] === undefined ? 1 : Number(hunk[2]);
+      if (count > 0) changed.get(current).push([start, start + count - 1]);
+    }
+  }
+  return changed;
+}
+
+/**
+ * List files changed in the local repository, relative to `cwd`, with the
+ * line ranges that were added or modified. A `null` range list means the
+ * whole file is new (untracked).
+ *
+ * - `since`: changes since the merge-base of `since` and HEAD, including
+ *   uncommitted and untracked files (pull request scope).
+ * - `staged`: changes in the index only (pre-commit scope).
+ *
+ * Only runs local git commands; throws if `cwd` is not in a git work tree or
+ * the ref cannot be resolved.
+ */
+function getChangedFiles(cwd, { since, staged }) {
+  const diffArgs = ['diff', '--relative', '--unified=0', '--no-color', '--no-ext-diff', '--diff-filter=ACMR'];
+
+  if (staged) {
+    return parseDiff(git(cwd, [...diffArgs, '--cached']));
+  }
+
+  const base = git(cwd, ['merge-base', since, 'HEAD']).trim();
+  const changed = parseDiff(git(cwd, [...diffArgs, base]));
+  git(cwd, ['ls-files', '--others', '--exclude-standard'])
+    .split('\n')
+    .filter(Boolean)
+    .forEach(f => changed.set(f, null));
+  return changed;
+}
+
+/**
+ * Files matching the glob `pattern` that git does not track (untracked or
+ * ignored), relative to `cwd`. Returns null outside a git work tree.
+ */
+function untrackedFiles(cwd, pattern) {
+  try {
+    return new Set(git(cwd, ['ls-files', '--others', '--', `:(glob)${pattern}`]).split('\n').filter(Boolean));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Every file git tracks, relative to `cwd`. Returns null outside a git work tree.
+ */
+function trackedFiles(cwd) {
+  try {
+    return new Set(git(cwd, ['ls-files']).split('\n').filter(Boolean));
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = { getChangedFiles, parseDiff, untrackedFiles, trackedFiles };
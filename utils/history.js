@@ -0,0 +1,92 @@
+const { spawn } = require('child_process');
+const readline = require('readline');
+const { findSecrets } = require('./secrets');
+
+const COMMIT_MARKER = '\x01';
+const byText = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+/**
+ * Parse `git log -p --unified=0` output line by line into added lines,
+ * calling `onFile({ commit, date, file, added: [{ line, text }] })` once per
+ * file per commit. Diff headers are only recognized between `diff --git`
+ * and the first hunk, so added content that starts with `++` is not
+ * mistaken for a `+++` header.
+ */
+function createHistoryParser(onFile) {
+  let commit = null;
+  let date = null;
+  let file = null;
+  let added = [];
+  let inHeader = false;
+  let next = 0;
+
+  const flush = () => {
+    if (file && added.length > 0) onFile({ commit, date, file, added });
+    file = null;
+    added = [];
+  };
+
+  return {
+    line(text) {
+      if (text.startsWith(COMMIT_MARKER)) {
+        flush();
+        [commit, date] = text.slice(1).split(' ');
+      } else if (text.startsWith('diff --git ')) {
+        flush();
+        inHeader = true;
+      } else if (inHeader && text.startsWith('+++ ')) {
+        const target = text.slice(4).replace(/\t$/, '');
+        file = target === '/dev/null' ? null : target.replace(/^b\//, '');
+      } else if (text.startsWith('@@ ')) {
+        inHeader = false;
+        const hunk = text.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+        next = hunk ? Number(hunk[1]) : 0;
+      } else if (!inHeader && file && text.startsWith('+')) {
+        added.push({ line: next++, text: text.slice(1) });
+      }
+    },
+    end: flush
+  };
+}
+
+/**
+ * Scan every commit reachable from any local ref for secrets in added
+ * lines, using the same patterns as the SECRETS gate (a committed .env is
+ * not re-reported per commit). Reads the local repository only. `accepts`
+ * limits which paths are checked and `isIgnored` skips ignored ones (e.g.
+ * vendored or generated files). Each secret is reported once, at the
+ * oldest commit that added it:
+ * [{ file, line, column, rule, snippet, commit: { hash, date } }].
+ * Rejects when `cwd` is not in a git work tree.
+ */
+function scanHistory(cwd, { accepts = () => true, isIgnored = () => false } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('git', [
+      '-c', 'core.quotePath=false', 'log', '--all', '-p', '--unified=0', '--relative',
+      '--no-color', '--no-ext-diff', `--format=${COMMIT_MARKER}%H %aI`
+    ], { cwd, stdio: ['ignore', 'pipe', 'pipe'] });
+
+    // git log lists newest first, so later hits for the same secret are older.
+    const hits = new Map();
+    const parser = createHistoryParser(({ commit, date, file, added }) => {
+      if (!accepts(file) || isIgnored(file)) return;
+      for (const finding of findSecrets(file, added.map(a => a.text).join('\n'))) {
+        if (finding.rule === 'env-file') continue;
+        const line = added[finding.line - 1].line;
+        hits.set(`${file}\0${finding.rule}\0${finding.snippet}`, { ...finding, line, commit: { hash: commit, date } });
+      }
+    });
+
+    let stderr = '';
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', reject);
+    readline.createInterface({ input: child.stdout, crlfDelay: Infinity }).on('line', text => parser.line(text));
+    child.on('close', code => {
+      if (code !== 0) return reject(new Error(stderr.trim().split('\n')[0] || `git log exited with ${code}`));
+      parser.end();
+      resolve([...hits.values()].sort((a, b) => byText(a.commit.date, b.commit.date) || byText(a.file, b.file) || a.line - b.line));
+    });
+  });
+}
+
+module.exports = { createHistoryParser, scanHistory };
@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+const ignore = require('ignore');
+const { globSync } = require('glob');
+
+// Read in this order in each directory, so .strictkitignore can re-include with `!`.
+const IGNORE_FILES = ['.gitignore', '.strictkitignore'];
+
+/**
+ * The project's ignore files, read the way git reads .gitignore: each one
+ * applies below its own directory, and deeper files can override shallower
+ * ones. `.gitignore` rules only skip files git does not track (`tracked`, a
+ * Set of posix-relative paths, or null outside a work tree): a committed
+ * file is still shipped, whatever .gitignore says. `.strictkitignore` always
+ * applies. `ignore` (glob patterns) keeps whole trees like node_modules out
+ * of the search; `names` limits which ignore files are read.
+ *
+ * Returns { files: [ignore file], isIgnored(rel) } over posix-relative paths;
+ * directories end in `/`.
+ */
+function readIgnoreFiles(cwd, { ignore: skip = [], tracked = null, names = IGNORE_FILES } = {}) {
+  const files = globSync(names.map(f => `**/${f}`), { cwd, ignore: skip, dot: true, posix: true, nodir: true })
+    // Shallowest first; within a directory, .gitignore sorts before .strictkitignore.
+    .sort((a, b) => a.split('/').length - b.split('/').length || (a < b ? -1 : a > b ? 1 : 0));
+
+  const scopes = files.map(file => {
+    const dir = path.posix.dirname(file);
+    let rules = ignore();
+    try {
+      rules = ignore().add(fs.readFileSync(path.join(cwd, file), 'utf8'));
+    } catch (e) { /* unreadable ignore file: no rules */ }
+    return { prefix: dir === '.' ? '' : `${dir}/`, git: path.posix.basename(file) === '.gitignore', rules };
+  });
+
+  function isIgnored(rel) {
+    if (!rel) return false;
+    const isTracked = tracked && tracked.has(rel);
+    let ignored = false;
+    for (const { prefix, git, rules } of scopes) {
+      if (!rel.startsWith(prefix) || rel === prefix || (git && isTracked)) continue;
+      const { ignored: hit, unignored } = rules.test(rel.slice(prefix.length));
+      if (hit) ignored = true;
+      else if (unignored) ignored = false;
+    }
+    return ignored;
+  }
+
+  return { files, isIgnored };
+}
+
+/**
+ * Build an ignore matcher from glob-style patterns plus the project's ignore
+ * files (see readIgnoreFiles). Takes posix-style paths relative to `cwd`.
+ */
+function createIgnoreMatcher(cwd, patterns, ignoreFiles = readIgnoreFiles(cwd, { ignore: patterns })) {
+  const ig = ignore().add(patterns);
+  return rel => rel !== '' && (ig.ignores(rel) || ignoreFiles.isIgnored(rel));
+}
+
+module.exports = { IGNORE_FILES, readIgnoreFiles, createIgnoreMatcher };
@@ -0,0 +1,64 @@
+const { findRule } = require('./rules');
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function describeFindings(findings) {
+  return findings
+    .map(f => `${f.line ? `${f.file}:${f.line}${f.column ? `:${f.column}` : ''}` : f.file} ${f.snippet} (${f.rule})`)
+    .join('\n');
+}
+
+function testcase(result) {
+  const rule = findRule(result.gate);
+  const attrs = `classname="strictkit.${escapeXml(rule ? rule.id : result.gate)}" name="${escapeXml(result.gate)}"`;
+  const detail = escapeXml(describeFindings(result.findings));
+
+  if (result.status === 'FAIL') {
+    return [
+      `    <testcase ${attrs}>`,
+      `      <failure message="${escapeXml(result.message)}" type="${escapeXml(result.gate)}">${detail}</failure>`,
+      '    </testcase>'
+    ].join('\n');
+  }
+  if (result.status === 'WARN') {
+    return [
+      `    <testcase ${attrs}>`,
+      `      <skipped message="${escapeXml(result.message)}"/>`,
+      detail ? `      <system-out>${detail}</system-out>` : null,
+      '    </testcase>'
+    ].filter(Boolean).join('\n');
+  }
+  return `    <testcase ${attrs}/>`;
+}
+
+/**
+ * Convert an audit report (the `--json` contract) into JUnit XML: one
+ * testsuite for the audit, one testcase per gate. FAIL maps to <failure>,
+ * WARN to <skipped>, and findings are listed one per line in the body.
+ */
+function toJunit(report) {
+  const { total, failed, warnings } = report.summary;
+  const counts = `tests="${total}" failures="${failed}" errors="0" skipped="${warnings}"`;
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="StrictKit" ${counts}>`,
+    `  <testsuite name="StrictKit audit" ${counts} timestamp="${escapeXml(report.meta.timestamp)}">`,
+    '    <properties>',
+    `      <property name="path" value="${escapeXml(report.meta.path)}"/>`,
+    '    </properties>',
+    ...report.results.map(testcase),
+    '  </testsuite>',
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+module.exports = { toJunit, escapeXml };
@@ -0,0 +1,327 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { lineColumnAt, makeSnippet } = require('./findings');
+
+const LOCKFILES = ['package-lock.json', 'yarn.lock', 'pnpm-lock.yaml', 'bun.lockb'];
+const DEP_FIELDS = ['dependencies', 'devDependencies', 'optionalDependencies'];
+
+/**
+ * Classify where a package comes from, given a resolved URL or a spec:
+ * 'registry', 'git', 'tarball' (a URL outside registry layout) or 'file'.
+ * Registry tarballs always live under a `/-/` path segment.
+ */
+function classifySource(ref) {
+  const value = String(ref || '');
+  if (/^(git\+|git:|github:|gitlab:|bitbucket:|ssh:)/.test(value) || /^https?:\/\/codeload\.github\.com\//.test(value) || /\.git(#|$)/.test(value)) return 'git';
+  if (/^(file:|link:|portal:)/.test(value)) return 'file';
+  if (/^https?:\/\//.test(value)) return value.includes('/-/') ? 'registry' : 'tarball';
+  return 'registry';
+}
+
+// "lodash@^4", "@scope/pkg@npm:1.0.0" -> ["lodash", "^4"]
+function splitSpec(key) {
+  const at = key.indexOf('@', 1);
+  return at === -1 ? [key, ''] : [key.slice(0, at), key.slice(at + 1)];
+}
+
+// Workspace globs ("packages/*", "apps/**") as a matcher over relative paths.
+function workspaceMatcher(workspaces) {
+  const patterns = Array.isArray(workspaces) ? workspaces : (workspaces && workspaces.packages) || [];
+  const regexes = patterns.map(p => new RegExp(`^${p.replace(/\/$/, '').replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*\*/g, '\u0000').replace(/\*/g, '[^/]+').replace(/\u0000/g, '.*')}$`));
+  return rel => regexes.some(r => r.test(rel));
+}
+
+// 1-based { line, column } of the first occurrence of `needle`, or null.
+function positionOf(content, needle, from = 0) {
+  const index = content.indexOf(needle, from);
+  return index === -1 ? null : lineColumnAt(content, index);
+}
+
+// --- PARSERS ---
+// Each parser returns:
+//   root        Map of name -> spec recorded for the project itself, or null
+//               when the format doesn't record specs (npm v1)
+//   importer    dir -> the same Map for the workspace package in `dir`
+//               ('.' is the root), or null when the format doesn't record it
+//   hasPackage  (name, spec) -> whether the lockfile resolves that dependency
+//   entries     [{ name, version, ref, source, integrity, at }] for every
+//               locked package; ref is the resolved URL or version, source
+//               is registry | git | tarball | file | workspace
+
+function parseNpmLock(content) {
+  const lock = JSON.parse(content);
+  const entries = [];
+
+  if (lock.packages) {
+    const rootPkg = lock.packages[''];
+    const importer = dir => {
+      const pkg = lock.packages[dir === '.' ? '' : dir];
+      return pkg ? new Map(DEP_FIELDS.flatMap(f => Object.entries(pkg[f] || {}))) : null;
+    };
+    const root = importer('.');
+    const isWorkspace = workspaceMatcher(rootPkg && rootPkg.workspaces);
+
+    for (const [key, pkg] of Object.entries(lock.packages)) {
+      const at = key.lastIndexOf('node_modules/');
+      // "" is the project, "packages/a" is a workspace folder: not installed packages.
+      if (at === -1 || pkg.inBundle) continue;
+      const name = pkg.name || key.slice(at + 'node_modules/'.length);
+      const source = pkg.link
+        ? (isWorkspace(pkg.resolved) ? 'workspace' : 'file')
+        : classifySource(pkg.resolved);
+      const ref = source === 'registry' ? pkg.version : pkg.resolved;
+      entries.push({ name, version: pkg.version || null, ref, source, integrity: pkg.integrity || null, at: positionOf(content, `"${key}":`) });
+    }
+    return { root, importer, hasPackage: name => Boolean(lock.packages[`node_modules/${name}`]), entries };
+  }
+
+  // lockfileVersion 1: nested `dependencies`, non-registry specs live in `version`.
+  const walk = deps => {
+    for (const [name, dep] of Object.entries(deps || {})) {
+      if (!dep.bundled) {
+        const source = classifySource(dep.resolved || dep.version);
+        entries.push({
+          name,
+          version: source === 'registry' ? dep.version : null,
+          ref: source === 'registry' ? dep.version : dep.resolved || dep.version,
+          source,
+          integrity: dep.integrity || null,
+          at: positionOf(content, `"${name}": {`)
+        });
+      }
+      walk(dep.dependencies);
+    }
+  };
+  walk(lock.dependencies);
+  return { root: null, importer: () => null, hasPackage: name => Boolean(lock.dependencies && lock.dependencies[name]), entries };
+}
+
+function parseYarnLock(content) {
+  if (/^__metadata:/m.test(content)) return parseYarnBerryLock(content);
+
+  const keys = new Set();
+  const entries = [];
+  let current = null;
+
+  content.split('\n').forEach((text, i) => {
+    if (!text.trim() || text.startsWith('#')) return;
+    if (!/^\s/.test(text) && text.trimEnd().endsWith(':')) {
+      const specs = text.trimEnd().slice(0, -1).split(/,\s*/).map(k => k.trim().replace(/^"|"$/g, ''));
+      specs.forEach(k => keys.add(k));
+      const [name, spec] = splitSpec(specs[0]);
+      current = { name, spec, version: null, resolved: null, integrity: null, at: { line: i + 1, column: 1 } };
+      entries.push(current);
+      return;
+    }
+    const prop = current && text.match(/^ {2}(\w+) "?([^"]*)"?\s*$/);
+    if (prop && prop[1] === 'version') current.version = prop[2];
+    if (prop && prop[1] === 'resolved') current.resolved = prop[2];
+    if (prop && prop[1] === 'integrity') current.integrity = prop[2];
+  });
+
+  return {
+    root: null,
+    importer: () => null,
+    hasPackage: (name, spec) => keys.has(`${name}@${spec}`),
+    entries: entries.map(({ name, spec, version, resolved, integrity, at }) => {
+      const bySpec = classifySource(spec);
+      if (bySpec !== 'registry') return { name, version, ref: spec, source: bySpec, integrity, at };
+      const source = classifySource(resolved);
+      return { name, version, ref: source === 'registry' ? version : resolved, source, integrity, at };
+    })
+  };
+}
+
+// Yarn 2+ lockfiles are YAML; `resolution` carries the protocol (npm:, git, file:, workspace:).
+function parseYarnBerryLock(content) {
+  const lock = YAML.parse(content) || {};
+  const keys = new Set();
+  const entries = [];
+
+  for (const [key, pkg] of Object.entries(lock)) {
+    if (key === '__metadata' || !pkg) continue;
+    key.split(/,\s*/).forEach(k => keys.add(k));
+    const [name, protocol] = splitSpec(String(pkg.resolution || key.split(/,\s*/)[0]));
+    let source;
+    if (/^(npm:|patch:)/.test(protocol)) source = 'registry';
+    else if (protocol.startsWith('workspace:')) source = 'workspace';
+    else source = classifySource(protocol);
+    entries.push({ name, version: pkg.version ? String(pkg.version) : null, ref: protocol, source, integrity: pkg.checksum || null, at: positionOf(content, `${key}":`) || positionOf(content, `${key}:`) });
+  }
+
+  return {
+    root: null,
+    importer: () => null,
+    hasPackage: (name, spec) => keys.has(`${name}@${spec}`) || keys.has(`${name}@npm:${spec}`),
+    entries
+  };
+}
+
+// An importer's name -> spec map: `specifiers` (lockfileVersion 5) or `{ specifier }` per dependency.
+function pnpmSpecs(importer) {
+  if (importer.specifiers) return new Map(Object.entries(importer.specifiers));
+  return new Map(DEP_FIELDS.flatMap(f => Object.entries(importer[f] || {}).map(([name, dep]) => [name, dep && dep.specifier])));
+}
+
+function parsePnpmLock(content) {
+  const lock = YAML.parse(content) || {};
+  const importer = (lock.importers && lock.importers['.']) || lock;
+  let root = null;
+
+  if (lock.specifiers || DEP_FIELDS.some(f => importer[f])) {
+    root = pnpmSpecs(importer);
+  } else if (lock.lockfileVersion) {
+    root = new Map();
+  }
+
+  const packagesAt = content.search(/^packages:/m);
+  const entries = Object.entries(lock.packages || {}).map(([key, pkg]) => {
+    // "/lodash@4.17.21" (v6), "lodash@4.17.21" (v9), "/lodash/4.17.21" (v5)
+    const bare = key.replace(/^\//, '').replace(/\(.*$/, '');
+    const name = bare.indexOf('@', 1) !== -1 ? splitSpec(bare)[0] : bare.slice(0, bare.lastIndexOf('/'));
+    const resolution = (pkg && pkg.resolution) || {};
+    let source = 'registry';
+    // v5 keys carry peer suffixes after the version: "/react-dom/18.2.0_react@18.2.0"
+    const version = pkg && pkg.version ? String(pkg.version) : bare.slice(name.length + 1).replace(/_.*$/, '');
+    let ref = version;
+    if (resolution.type === 'git' || resolution.repo) [source, ref] = ['git', resolution.repo];
+    else if (resolution.directory) [source, ref] = ['file', resolution.directory];
+    else if (resolution.tarball) [source, ref] = [classifySource(resolution.tarball), resolution.tarball];
+    return { name, version, ref, source, integrity: resolution.integrity || null, at: positionOf(content, key, Math.max(packagesAt, 0)) };
+  });
+
+  return {
+    root,
+    // A workspace package missing from `importers` has nothing locked.
+    importer: dir => (dir === '.' ? root : lock.importers ? pnpmSpecs(lock.importers[dir] || {}) : null),
+    hasPackage: name => Boolean(root && root.has(name)),
+    entries
+  };
+}
+
+const PARSERS = {
+  'package-lock.json': parseNpmLock,
+  'yarn.lock': parseYarnLock,
+  'pnpm-lock.yaml': parsePnpmLock
+};
+
+// --- CHECKS ---
+
+function finding(file, at, rule, snippet) {
+  return { file, line: at ? at.line : null, column: at ? at.column : null, rule, snippet: makeSnippet(snippet) };
+}
+
+// First `name:` / `"name":` key from `from` on, i.e. the project's own dependency listing.
+function keyPosition(content, name, from = 0) {
+  const escaped = name.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+  const match = new RegExp(`^(\\s*)(['"]?${escaped}['"]?\\s*:)`, 'm').exec(content.slice(from));
+  return match ? lineColumnAt(content, from + match.index + match[1].length) : null;
+}
+
+// Where a workspace package's own listing starts: its `importers` / `packages` key.
+function importerOffset(content, dir) {
+  if (dir === '.') return 0;
+  const match = new RegExp(`^\\s*['"]?${dir.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')}['"]?\\s*:`, 'm').exec(content);
+  return match ? match.index : 0;
+}
+
+/**
+ * Check the project's lockfiles: exactly one present, in sync with
+ * package.json, every package from the registry and pinned by an integrity
+ * hash. bun.lockb is binary and only counts towards presence.
+ * With `importer` (a workspace package directory), only that package's
+ * package.json is checked against the workspace lockfiles; the lockfiles
+ * themselves are the root's to answer for.
+ * Returns { present: [lockfile], findings }.
+ */
+function auditLockfiles(cwd, { importer = '.' } = {}) {
+  const present = LOCKFILES.filter(f => fs.existsSync(path.join(cwd, f)));
+  const findings = [];
+  const isRoot = importer === '.';
+
+  if (present.length > 1 && isRoot) {
+    for (const file of present) {
+      findings.push(finding(file, null, 'competing-lockfiles', `also found: ${present.filter(f => f !== file).join(', ')}`));
+    }
+  }
+
+  const manifestFile = path.posix.join(importer, 'package.json');
+  const manifestPath = path.join(cwd, manifestFile);
+  const manifestText = fs.existsSync(manifestPath) ? fs.readFileSync(manifestPath, 'utf8') : null;
+  let manifest = {};
+  try {
+    manifest = manifestText ? JSON.parse(manifestText) : {};
+  } catch (e) {
+    findings.push(finding(manifestFile, null, 'invalid-manifest', e.message));
+  }
+  const declared = new Map(DEP_FIELDS.flatMap(f => Object.entries(manifest[f] || {})));
+
+  for (const file of present) {
+    const parse = PARSERS[file];
+    if (!parse) continue;
+    const content = fs.readFileSync(path.join(cwd, file), 'utf8');
+    let lock;
+    try {
+      lock = parse(content);
+    } catch (e) {
+      findings.push(finding(file, null, 'invalid-lockfile', e.message));
+      continue;
+    }
+
+    // 1. In sync with package.json
+    const locks = lock.importer(importer);
+    for (const [name, spec] of declared) {
+      const locked = locks ? locks.get(name) : (lock.hasPackage(name, spec) ? spec : undefined);
+      if (locked !== spec) {
+        const at = positionOf(manifestText, `"${name}":`, manifestText.search(/"(dev|optional)?[dD]ependencies"\s*:/));
+        const problem = locked === undefined ? `not in ${file}` : `${file} has ${locked}`;
+        findings.push(finding(manifestFile, at, 'lockfile-out-of-sync', `${name}@${spec}: ${problem}`));
+      }
+    }
+    const from = importerOffset(content, importer);
+    for (const name of locks ? locks.keys() : []) {
+      if (!declared.has(name)) {
+        findings.push(finding(file, keyPosition(content, name, from), 'lockfile-out-of-sync', `${name}: locked but not in ${manifestFile}`));
+      }
+    }
+    if (!isRoot) continue;
+
+    // 2. Registry sources and 3. integrity hashes
+    for (const entry of lock.entries) {
+      if (entry.source === 'workspace') continue;
+      if (entry.source !== 'registry') {
+        findings.push(finding(file, entry.at, 'non-registry-source', `${entry.name} (${entry.source}): ${entry.ref || 'unknown'}`));
+      } else if (!entry.integrity) {
+        findings.push(finding(file, entry.at, 'missing-integrity', `${entry.name}@${entry.ref || 'unknown'}`));
+      }
+    }
+  }
+
+  return { present, findings };
+}
+
+/**
+ * Every registry package resolved by the project's lockfiles, deduplicated
+ * by name and version: [{ file, name, version, at }]. Unreadable lockfiles
+ * are skipped (the LOCKFILE gate reports them).
+ */
+function lockedPackages(cwd) {
+  const seen = new Set();
+  const packages = [];
+  for (const file of LOCKFILES.filter(f => PARSERS[f] && fs.existsSync(path.join(cwd, f)))) {
+    let lock;
+    try {
+      lock = PARSERS[file](fs.readFileSync(path.join(cwd, file), 'utf8'));
+    } catch (e) { continue; }
+    for (const { name, version, source, at } of lock.entries) {
+      const key = `${name}@${version}`;
+      if (source !== 'registry' || !version || seen.has(key)) continue;
+      seen.add(key);
+      packages.push({ file, name, version, at });
+    }
+  }
+  return packages;
+}
+
+module.exports = { LOCKFILES, classifySource, parseNpmLock, parseYarnLock, parsePnpmLock, auditLockfiles, lockedPackages };
@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { globSync } = require('glob');
+
+/**
+ * Workspace globs declared by the project: `workspaces` in package.json
+ * (array or `{ packages }`) and `packages` in pnpm-workspace.yaml.
+ * Negated patterns (`!packages/legacy`) are returned separately.
+ */
+function workspacePatterns(cwd, rootManifest) {
+  const declared = rootManifest && rootManifest.workspaces;
+  const patterns = [...(Array.isArray(declared) ? declared : (declared && declared.packages) || [])];
+  try {
+    const pnpm = YAML.parse(fs.readFileSync(path.join(cwd, 'pnpm-workspace.yaml'), 'utf8'));
+    if (pnpm && Array.isArray(pnpm.packages)) patterns.push(...pnpm.packages);
+  } catch (e) { /* not a pnpm workspace */ }
+
+  return {
+    include: patterns.filter(p => !p.startsWith('!')),
+    exclude: patterns.filter(p => p.startsWith('!')).map(p => p.slice(1))
+  };
+}
+
+/**
+ * The root package.json plus every workspace package.json, root first and
+ * workspaces in path order. Returns [{ file, dir, content, manifest, error }]
+ * with posix-relative `file`/`dir`; `error` is set when the JSON is invalid.
+ * With `workspaces: false`, only the root package.json.
+ */
+function findManifests(cwd, { workspaces: expand = true } = {}) {
+  const read = file => {
+    const content = fs.readFileSync(path.join(cwd, file), 'utf8');
+    const dir = path.posix.dirname(file);
+    try {
+      return { file, dir, content, manifest: JSON.parse(content), error: null };
+    } catch (e) {
+      return { file, dir, content, manifest: {}, error: e.message };
+    }
+  };
+
+  if (!fs.existsSync(path.join(cwd, 'package.json'))) return [];
+  const root = read('package.json');
+  const { include, exclude } = workspacePatterns(cwd, root.manifest);
+  if (!expand || include.length === 0) return [root];
+
+  const files = globSync(include.map(p => `${p.replace(/\/$/, '')}/package.json`), {
+    cwd,
+    posix: true,
+    ignore: ['**/node_modules/**', ...exclude.map(p => `${p.replace(/\/$/, '')}/**`)]
+  });
+  const workspaces = [...new Set(files)].filter(f => f !== 'package.json').sort().map(read);
+  return [root, ...workspaces];
+}
+
+/**
+ * The packages of a npm, yarn or pnpm workspace, root first: [{ name, dir }]
+ * with posix-relative `dir` ('.' for the root) and the package.json `name`
+ * (the directory when unnamed). Empty when the project is not a workspace.
+ */
+function findWorkspaces(cwd) {
+  const manifests = findManifests(cwd);
+  if (manifests.length < 2) return [];
+  return manifests.map(({ dir, manifest }) => ({ name: typeof manifest.name === 'string' && manifest.name ? manifest.name : dir, dir }));
+}
+
+module.exports = { workspacePatterns, findManifests, findWorkspaces };
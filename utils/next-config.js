@@ -0,0 +1,319 @@
+const fs = require('fs');
+const path = require('path');
+const ts = require('typescript');
+const { globSync } = require('glob');
+const { parse } = require('./ast-analyzer');
+const { makeSnippet } = require('./findings');
+const { findManifests } = require('./manifests');
+
+const MIDDLEWARE_FILES = ['middleware', 'src/middleware', 'proxy', 'src/proxy']; // `proxy` is the Next.js 16 name
+const SCRIPT_EXTENSIONS = ['ts', 'js', 'mts', 'mjs'];
+const TRACKED_HEADERS = new Set(['content-security-policy', 'strict-transport-security', 'x-frame-options']);
+// Missing these is worth a warning, not a failed build.
+const ADVISORY_RULES = new Set(['powered-by-header', 'react-strict-mode', 'unevaluated-config']);
+
+// --- STATIC EVALUATION ---
+
+// `const x = ...` initializers anywhere in the file, for following
+// identifiers. The first declaration of a name wins.
+function constBindings(sourceFile) {
+  const bindings = new Map();
+  (function visit(node) {
+    if (ts.isVariableDeclarationList(node) && node.flags & ts.NodeFlags.Const) {
+      for (const decl of node.declarations) {
+        if (ts.isIdentifier(decl.name) && decl.initializer && !bindings.has(decl.name.text)) bindings.set(decl.name.text, decl.initializer);
+      }
+    }
+    ts.forEachChild(node, visit);
+  })(sourceFile);
+  return bindings;
+}
+
+// Strip parentheses and type assertions, and follow identifiers to their initializers.
+function resolve(node, bindings, depth = 0) {
+  while (node && (ts.isParenthesizedExpression(node) || ts.isAsExpression(node) ||
+    ts.isSatisfiesExpression(node) || ts.isTypeAssertionExpression(node))) node = node.expression;
+  if (node && ts.isIdentifier(node) && bindings.has(node.text) && depth < 10) return resolve(bindings.get(node.text), bindings, depth + 1);
+  return node;
+}
+
+/**
+ * The literal text a string expression evaluates to, as far as it can be
+ * known statically: literals, templates (substitutions read as ''),
+ * concatenation, `[...].join(sep)` and trailing `.replace()`/`.trim()`.
+ */
+function staticText(node, bindings, depth = 0) {
+  node = resolve(node, bindings);
+  if (!node || depth > 20) return '';
+  if (ts.isStringLiteralLike(node)) return node.text;
+  if (ts.isTemplateExpression(node)) {
+    return node.head.text + node.templateSpans.map(s => staticText(s.expression, bindings, depth + 1) + s.literal.text).join('');
+  }
+  if (ts.isBinaryExpression(node) && node.operatorToken.kind === ts.SyntaxKind.PlusToken) {
+    return staticText(node.left, bindings, depth + 1) + staticText(node.right, bindings, depth + 1);
+  }
+  if (ts.isCallExpression(node) && ts.isPropertyAccessExpression(node.expression)) {
+    const method = node.expression.name.text;
+    const receiver = resolve(node.expression.expression, bindings);
+    if (method === 'join' && receiver && ts.isArrayLiteralExpression(receiver)) {
+      const sep = node.arguments.length > 0 ? staticText(node.arguments[0], bindings, depth + 1) : ',';
+      return receiver.elements.map(e => staticText(e, bindings, depth + 1)).join(sep);
+    }
+    if (['replace', 'replaceAll', 'trim'].includes(method)) return staticText(receiver, bindings, depth + 1);
+  }
+  return '';
+}
+
+const booleanValue = node => (node && node.kind === ts.SyntaxKind.TrueKeyword ? true : node && node.kind === ts.SyntaxKind.FalseKeyword ? false : undefined);
+
+function propertyName(name) {
+  if (ts.isIdentifier(name) || ts.isStringLiteral(name) || ts.isNumericLiteral(name)) return name.text;
+  return null;
+}
+
+/**
+ * The properties of a config object literal, following spreads of other
+ * literals: Map name -> { node, value }, where `value` is the initializer
+ * (or the method itself). `opaque` is set when a spread could not be
+ * resolved, so a missing property may just be invisible.
+ */
+function objectProperties(object, bindings) {
+  const props = new Map();
+  let opaque = false;
+  for (const element of object.properties) {
+    if (ts.isSpreadAssignment(element)) {
+      const spread = resolve(element.expression, bindings);
+      if (spread && ts.isObjectLiteralExpression(spread)) {
+        const inner = objectProperties(spread, bindings);
+        inner.props.forEach((v, k) => props.set(k, v));
+        opaque = opaque || inner.opaque;
+      } else {
+        opaque = true;
+      }
+      continue;
+    }
+    const name = propertyName(element.name);
+    if (name === null) continue;
+    if (ts.isPropertyAssignment(element)) props.set(name, { node: element, value: resolve(element.initializer, bindings) });
+    else if (ts.isShorthandPropertyAssignment(element)) props.set(name, { node: element, value: resolve(element.name, bindings) });
+    else props.set(name, { node: element, value: element });
+  }
+  return { props, opaque };
+}
+
+// The object literal a config expression ends up as: through plugin wrappers
+// (`withBundleAnalyzer(config)`), phase functions and `const` indirections.
+function configObject(node, bindings, depth = 0) {
+  node = resolve(node, bindings);
+  if (!node || depth > 10) return null;
+  if (ts.isObjectLiteralExpression(node)) return node;
+  if (ts.isCallExpression(node)) {
+    for (const arg of node.arguments) {
+      const found = configObject(arg, bindings, depth + 1);
+      if (found) return found;
+    }
+    return null;
+  }
+  if (ts.isArrowFunction(node) || ts.isFunctionExpression(node) || ts.isFunctionDeclaration(node)) {
+    if (!node.body) return null;
+    if (!ts.isBlock(node.body)) return configObject(node.body, bindings, depth + 1);
+    let found = null;
+    (function visit(child) {
+      if (found || ts.isFunctionLike(child)) return;
+      if (ts.isReturnStatement(child) && child.expression) found = configObject(child.expression, bindings, depth + 1);
+      else ts.forEachChild(child, visit);
+    })(node.body);
+    return found;
+  }
+  return null;
+}
+
+// `module.exports = ...` or `export default ...`.
+function exportedConfig(sourceFile) {
+  for (const statement of sourceFile.statements) {
+    if (ts.isExportAssignment(statement)) return statement.expression;
+    if (ts.isFunctionDeclaration(statement) && statement.name === undefined &&
+      statement.modifiers && statement.modifiers.some(m => m.kind === ts.SyntaxKind.DefaultKeyword)) return statement;
+    if (ts.isExpressionStatement(statement) && ts.isBinaryExpression(statement.expression) &&
+      statement.expression.operatorToken.kind === ts.SyntaxKind.EqualsToken &&
+      statement.expression.left.getText(sourceFile).replace(/\s/g, '') === 'module.exports') return statement.expression.right;
+  }
+  return null;
+}
+
+/**
+ * Every security header a piece of code sets, as [{ name, value, node }]
+ * with lower-cased names: `{ key, value }` entries (next.config headers()),
+ * `headers.set(name, value)` / `.append()` calls and header-named object
+ * keys (`new Headers({ ... })`). Identifiers are followed to constants, so
+ * a `securityHeaders` array declared elsewhere in the file counts.
+ */
+function collectHeaders(root, bindings) {
+  const headers = [];
+  const followed = new Set();
+
+  function visit(node) {
+    if (ts.isIdentifier(node) && bindings.has(node.text) && !followed.has(node.text)) {
+      followed.add(node.text);
+      visit(bindings.get(node.text));
+    } else if (ts.isObjectLiteralExpression(node)) {
+      const { props } = objectProperties(node, new Map());
+      if (props.has('key')) {
+        const name = staticText(props.get('key').value, bindings).toLowerCase();
+        headers.push({ name, value: props.has('value') ? staticText(props.get('value').value, bindings) : '', node });
+      }
+      for (const [name, { node: prop, value }] of props) {
+        if (TRACKED_HEADERS.has(name.toLowerCase())) headers.push({ name: name.toLowerCase(), value: staticText(value, bindings), node: prop });
+      }
+    } else if (ts.isCallExpression(node) && ts.isPropertyAccessExpression(node.expression) &&
+      ['set', 'append'].includes(node.expression.name.text) && node.arguments.length === 2) {
+      const name = staticText(node.arguments[0], bindings).toLowerCase();
+      if (name) headers.push({ name, value: staticText(node.arguments[1], bindings), node });
+    }
+    ts.forEachChild(node, visit);
+  }
+
+  visit(root);
+  return headers;
+}
+
+// --- AUDIT ---
+
+/**
+ * Next.js apps in the project: every directory with a next.config, plus
+ * workspaces that depend on `next` without one. [{ dir, config, manifest }]
+ * `isIgnored` drops paths the project's ignore files exclude.
+ */
+function findNextApps(cwd, { ignore = [], isIgnored = () => false, workspaces = true } = {}) {
+  const apps = new Map();
+  for (const file of globSync('**/next.config.{js,cjs,mjs,ts,mts}', { cwd, ignore, posix: true, nodir: true }).sort()) {
+    if (isIgnored(file)) continue;
+    const dir = path.posix.dirname(file);
+    if (!apps.has(dir)) apps.set(dir, { dir, config: file, manifest: null });
+  }
+  for (const { file, dir, manifest } of findManifests(cwd, { workspaces })) {
+    const next = ['dependencies', 'devDependencies'].some(field => manifest[field] && manifest[field].next);
+    if (next && !apps.has(dir) && !isIgnored(file)) apps.set(dir, { dir, config: null, manifest: file });
+  }
+  return [...apps.values()].sort((a, b) => (a.dir < b.dir ? -1 : a.dir > b.dir ? 1 : 0));
+}
+
+const inDir = (dir, file) => (dir === '.' ? file : `${dir}/${file}`);
+
+function findMiddleware(cwd, dir) {
+  for (const base of MIDDLEWARE_FILES) {
+    for (const ext of SCRIPT_EXTENSIONS) {
+      const file = inDir(dir, `${base}.${ext}`);
+      if (fs.existsSync(path.join(cwd, file))) return file;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check one Next.js app's hardening from its next.config and middleware:
+ *   missing-csp                no Content-Security-Policy (Report-Only does not enforce)
+ *   missing-hsts               no Strict-Transport-Security
+ *   missing-frame-protection   no X-Frame-Options DENY/SAMEORIGIN and no CSP frame-ancestors
+ *   wildcard-remote-pattern    `images.remotePatterns` hostname that matches any domain
+ *   powered-by-header          `poweredByHeader` not set to false
+ *   react-strict-mode          `reactStrictMode: false`, or unset in a Pages Router app
+ *   unevaluated-config         no config object could be found statically
+ * Snippets start with the config path they refer to, e.g.
+ * `images.remotePatterns[0].hostname`.
+ */
+function auditNextApp(cwd, { dir, config, manifest }) {
+  const findings = [];
+  const file = config || manifest;
+  let anchor = { line: null, column: null };
+  const push = (rule, text, at = anchor) => findings.push({ file, ...at, rule, snippet: makeSnippet(text) });
+
+  let props = new Map();
+  let opaque = false;
+  let configHeaders = [];
+  if (config) {
+    const sourceFile = parse(config, fs.readFileSync(path.join(cwd, config), 'utf8'));
+    const bindings = constBindings(sourceFile);
+    const position = node => {
+      const { line, character } = sourceFile.getLineAndCharacterOfPosition(node.getStart(sourceFile));
+      return { line: line + 1, column: character + 1 };
+    };
+    const exported = exportedConfig(sourceFile);
+    const object = exported && configObject(exported, bindings);
+    if (!object) {
+      push('unevaluated-config', 'next.config: the exported config is not a static object; hardening could not be checked', exported ? position(exported) : anchor);
+      return findings;
+    }
+    anchor = position(object);
+    ({ props, opaque } = objectProperties(object, bindings));
+    const at = name => position(props.get(name).node);
+
+    if (props.has('headers')) {
+      const fn = props.get('headers').value;
+      if (fn && ts.isFunctionLike(fn)) configHeaders = collectHeaders(fn, bindings);
+      else opaque = true;
+    }
+
+    const powered = props.has('poweredByHeader') ? booleanValue(props.get('poweredByHeader').value) : undefined;
+    if (powered === true) push('powered-by-header', 'poweredByHeader: true sends X-Powered-By: Next.js', at('poweredByHeader'));
+    else if (!props.has('poweredByHeader') && !opaque) push('powered-by-header', 'poweredByHeader: not set to false; Next.js sends X-Powered-By by default');
+
+    const strict = props.has('reactStrictMode') ? booleanValue(props.get('reactStrictMode').value) : undefined;
+    if (strict === false) push('react-strict-mode', 'reactStrictMode: false', at('reactStrictMode'));
+
+    const images = props.has('images') ? props.get('images').value : null;
+    const patterns = images && ts.isObjectLiteralExpression(images) ? objectProperties(images, bindings).props.get('remotePatterns') : null;
+    const list = patterns && patterns.value && ts.isArrayLiteralExpression(patterns.value) ? patterns.value.elements : [];
+    list.forEach((element, i) => {
+      const pattern = resolve(element, bindings);
+      if (!pattern || !ts.isObjectLiteralExpression(pattern)) return;
+      const hostname = objectProperties(pattern, bindings).props.get('hostname');
+      const host = hostname ? staticText(hostname.value, bindings) : '';
+      // `**`, `*` and `**.com` match any site; `*.example.com` is scoped to one domain.
+      if (/^[*.]*[^.*]*$/.test(host) && host.includes('*')) {
+        push('wildcard-remote-pattern', `images.remotePatterns[${i}].hostname: '${host}' allows images from any host`, position(hostname.node));
+      }
+    });
+  } else {
+    push('powered-by-header', 'poweredByHeader: no next.config; Next.js sends X-Powered-By by default');
+  }
+
+  if (!props.has('reactStrictMode') && !opaque) {
+    const appRouter = ['app', 'src/app'].some(d => fs.existsSync(path.join(cwd, dir, d)));
+    if (!appRouter) push('react-strict-mode', 'reactStrictMode: not set; Pages Router apps default to false');
+  }
+
+  const middleware = findMiddleware(cwd, dir);
+  const middlewareHeaders = middleware ? (() => {
+    const sourceFile = parse(middleware, fs.readFileSync(path.join(cwd, middleware), 'utf8'));
+    return collectHeaders(sourceFile, constBindings(sourceFile));
+  })() : [];
+
+  if (opaque && configHeaders.length === 0 && middlewareHeaders.length === 0) return findings;
+  const headers = [...configHeaders, ...middlewareHeaders];
+  const where = middleware ? `headers() or ${middleware}` : 'headers()';
+  const csp = headers.find(h => h.name === 'content-security-policy');
+  if (!csp) push('missing-csp', `${where}: no Content-Security-Policy header`);
+  if (!headers.some(h => h.name === 'strict-transport-security')) push('missing-hsts', `${where}: no Strict-Transport-Security header`);
+  const framing = headers.some(h => h.name === 'x-frame-options' && /^\s*(deny|sameorigin)\s*$/i.test(h.value)) ||
+    (csp && /frame-ancestors/i.test(csp.value));
+  if (!framing) push('missing-frame-protection', `${where}: no X-Frame-Options or CSP frame-ancestors`);
+
+  return findings;
+}
+
+/**
+ * Audit every Next.js app in the project. Returns { apps: [dir], files,
+ * findings }, where `files` is each app's next.config (or package.json when
+ * it has none), with ADVISORY_RULES findings meant to warn rather than fail.
+ */
+function auditNextConfigs(cwd, { ignore = [], isIgnored, workspaces = true } = {}) {
+  const apps = findNextApps(cwd, { ignore, isIgnored, workspaces });
+  return {
+    apps: apps.map(a => a.dir),
+    files: apps.map(a => a.config || a.manifest),
+    findings: apps.flatMap(app => auditNextApp(cwd, app))
+  };
+}
+
+module.exports = { ADVISORY_RULES, staticText, findNextApps, auditNextApp, auditNextConfigs };
@@ -0,0 +1,147 @@
+const ts = require('typescript');
+const { parse } = require('./ast-analyzer');
+const { makeSnippet } = require('./findings');
+const { findManifests } = require('./manifests');
+
+const PUBLIC_PREFIX = 'NEXT_PUBLIC_';
+// Inlined by Next.js itself and harmless in the browser.
+const BUILTIN_ENV = new Set(['NODE_ENV', 'NEXT_RUNTIME']);
+// Names that should never be public. TOKEN and API_KEY are left out: many
+// client SDK keys (Firebase, Maps, Mapbox) are public by design.
+const SECRET_NAME = /SECRET|PASSWORD|PASSWD|PRIVATE|SERVICE_ROLE|ADMIN_KEY|DATABASE_URL|DB_URL|CONNECTION_STRING|CREDENTIAL/i;
+// Everything in next.config `env` ships to the browser, so tokens and keys count too.
+const SENSITIVE_NAME = new RegExp(`${SECRET_NAME.source}|TOKEN|API_?KEY`, 'i');
+
+const NEXT_CONFIG = /(^|\/)next\.config\.(js|cjs|mjs|ts|mts)$/;
+const ENV_FILE = /(^|\/)\.env(\.[^/]+)?$/;
+// Pages Router components; API routes and _document only run on the server.
+const PAGES_FILE = /(^|\/)pages\/(?!api\/)(?!_document\.)/;
+// Next.js strips these from the client bundle.
+const SERVER_DATA_FUNCTIONS = new Set(['getServerSideProps', 'getStaticProps', 'getStaticPaths']);
+
+const isProcessEnv = node => ts.isPropertyAccessExpression(node) &&
+  ts.isIdentifier(node.expression) && node.expression.text === 'process' && node.name.text === 'env';
+
+// `'use client'` in the directive prologue.
+function isClientModule(sourceFile) {
+  for (const statement of sourceFile.statements) {
+    if (!ts.isExpressionStatement(statement) || !ts.isStringLiteral(statement.expression)) return false;
+    if (statement.expression.text === 'use client') return true;
+  }
+  return false;
+}
+
+// A file under `pages/`: a Pages Router component, if it is in a Next.js app.
+const isPagesFile = filePath => PAGES_FILE.test(filePath.split('\\').join('/'));
+
+function serverDataFunctionName(node) {
+  if (ts.isFunctionDeclaration(node) && node.name) return node.name.text;
+  if (ts.isVariableDeclaration(node) && ts.isIdentifier(node.name) && node.initializer &&
+    (ts.isArrowFunction(node.initializer) || ts.isFunctionExpression(node.initializer))) return node.name.text;
+  return null;
+}
+
+/**
+ * Every env variable read in a file: `process.env.X`, `process.env['X']`
+ * and `const { X } = process.env`, as [{ name, node, server }] where
+ * `server` marks reads inside getServerSideProps/getStaticProps/getStaticPaths.
+ */
+function envReads(sourceFile) {
+  const reads = [];
+
+  function visit(node, server) {
+    if (ts.isPropertyAccessExpression(node) && isProcessEnv(node.expression)) {
+      reads.push({ name: node.name.text, node, server });
+    } else if (ts.isElementAccessExpression(node) && isProcessEnv(node.expression) && ts.isStringLiteralLike(node.argumentExpression)) {
+      reads.push({ name: node.argumentExpression.text, node, server });
+    } else if (ts.isVariableDeclaration(node) && ts.isObjectBindingPattern(node.name) && node.initializer && isProcessEnv(node.initializer)) {
+      for (const element of node.name.elements) {
+        const key = element.propertyName || element.name;
+        if (ts.isIdentifier(key) || ts.isStringLiteral(key)) reads.push({ name: key.text, node: element, server });
+      }
+    }
+    const name = serverDataFunctionName(node);
+    ts.forEachChild(node, child => visit(child, server || SERVER_DATA_FUNCTIONS.has(name)));
+  }
+
+  visit(sourceFile, false);
+  return reads;
+}
+
+// `env: { ... }` objects anywhere in next.config (plain export, wrapped in plugins, ...).
+function configEnvEntries(sourceFile) {
+  const entries = [];
+  function visit(node) {
+    if (ts.isPropertyAssignment(node) && node.name.getText(sourceFile).replace(/['"]/g, '') === 'env' && ts.isObjectLiteralExpression(node.initializer)) {
+      entries.push(...node.initializer.properties);
+    }
+    ts.forEachChild(node, visit);
+  }
+  visit(sourceFile);
+  return entries;
+}
+
+/**
+ * Find server configuration that can reach the browser bundle:
+ *   server-env-in-client       non-NEXT_PUBLIC_ env read in a `'use client'`
+ *                              module or a Pages Router component
+ *   secret-named-public-env    NEXT_PUBLIC_* variable named like a secret, in
+ *                              code or a .env file
+ *   sensitive-config-env       next.config `env` entry with a sensitive name or
+ *                              value, or a spread of `process.env`
+ * A `pages/` file is only a Pages Router component inside a Next.js app:
+ * findings that rest on its path alone carry `pagesRouter: true`.
+ */
+function findClientEnvExposure(filePath, content) {
+  const file = filePath.split('\\').join('/');
+  const lines = content.split('\n');
+  const findings = [];
+  const push = (line, column, rule, extra = {}) => findings.push({ file: filePath, line, column, rule, snippet: makeSnippet(lines[line - 1]), ...extra });
+
+  if (ENV_FILE.test(file)) {
+    lines.forEach((text, i) => {
+      const match = text.match(/^(\s*(?:export\s+)?)(NEXT_PUBLIC_\w+)\s*=/);
+      if (match && SECRET_NAME.test(match[2].slice(PUBLIC_PREFIX.length))) push(i + 1, match[1].length + 1, 'secret-named-public-env');
+    });
+    return findings;
+  }
+
+  const sourceFile = parse(filePath, content);
+  const at = node => {
+    const { line, character } = sourceFile.getLineAndCharacterOfPosition(node.getStart(sourceFile));
+    return [line + 1, character + 1];
+  };
+  const clientModule = isClientModule(sourceFile);
+  const pagesRouter = !clientModule && isPagesFile(file);
+
+  for (const { name, node, server } of envReads(sourceFile)) {
+    if (name.startsWith(PUBLIC_PREFIX)) {
+      if (SECRET_NAME.test(name.slice(PUBLIC_PREFIX.length))) push(...at(node), 'secret-named-public-env');
+    } else if ((clientModule || pagesRouter) && !server && !BUILTIN_ENV.has(name)) {
+      push(...at(node), 'server-env-in-client', pagesRouter ? { pagesRouter } : {});
+    }
+  }
+
+  if (NEXT_CONFIG.test(file)) {
+    for (const entry of configEnvEntries(sourceFile)) {
+      if (ts.isSpreadAssignment(entry)) {
+        if (isProcessEnv(entry.expression)) push(...at(entry), 'sensitive-config-env');
+        continue;
+      }
+      const key = entry.name ? entry.name.getText(sourceFile).replace(/['"]/g, '') : '';
+      const value = ts.isPropertyAssignment(entry) ? entry.initializer : null;
+      const source = value && ts.isPropertyAccessExpression(value) && isProcessEnv(value.expression) ? value.name.text : '';
+      if (SENSITIVE_NAME.test(key) || SENSITIVE_NAME.test(source)) push(...at(entry), 'sensitive-config-env');
+    }
+  }
+
+  return findings.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+/** Whether the project (or one of its workspaces) depends on `next` or has a next.config. */
+function isNextProject(cwd, files = [], { workspaces = true } = {}) {
+  if (files.some(f => NEXT_CONFIG.test(f))) return true;
+  return findManifests(cwd, { workspaces }).some(({ manifest }) => ['dependencies', 'devDependencies'].some(field => manifest[field] && manifest[field].next));
+}
+
+module.exports = { NEXT_CONFIG, isClientModule, isPagesFile, findClientEnvExposure, isNextProject };
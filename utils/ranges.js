@@ -0,0 +1,80 @@
+const { lineColumnAt, makeSnippet } = require('./findings');
+const { findManifests } = require('./manifests');
+
+// peerDependencies are meant to be ranges, so they are not checked.
+const RANGE_FIELDS = ['dependencies', 'devDependencies', 'optionalDependencies'];
+
+const EXACT = /^=?v?\d+\.\d+\.\d+(-[0-9A-Za-z.-]+)?(\+[0-9A-Za-z.-]+)?$/;
+const LOCAL = /^(file:|link:|portal:|workspace:)/;
+const NON_REGISTRY = /^(git\+|git:|github:|gitlab:|bitbucket:|https?:|ssh:)|^[\w.-]+\/[\w.-]+(#.*)?$/;
+const TAG = /^[A-Za-z][\w.-]*$/;
+
+/**
+ * Classify a package.json dependency spec. Returns the rule it breaks, or
+ * null when it is acceptable:
+ *   non-registry-dependency  git, GitHub shorthand or http(s) tarball
+ *   dist-tag                 `latest`, `next`, ... (moves on every publish)
+ *   wildcard-range           `*`, empty, `x`, `1.x`, `1.*`, `1`
+ *   unbounded-range          `>=1.0.0`, `>1` without an upper bound
+ *   non-exact-version        anything but `1.2.3` (only with `exact`)
+ * `npm:` aliases are checked by their target range; local `file:`, `link:`
+ * and `workspace:` specs are allowed.
+ */
+function checkRange(spec, { exact = false } = {}) {
+  let value = String(spec).trim();
+  if (LOCAL.test(value)) return null;
+  if (value.startsWith('npm:')) value = value.slice(value.lastIndexOf('@') > 4 ? value.lastIndexOf('@') + 1 : 4);
+  if (NON_REGISTRY.test(value)) return 'non-registry-dependency';
+  if (TAG.test(value) && !/^[xX]$/.test(value)) return 'dist-tag';
+
+  for (const set of value.split('||').map(s => s.trim())) {
+    if (set === '' || /(^|[\s^~=<>v])([*xX])(\s|$)/.test(set) || /\.[*xX](\.|\s|$)/.test(set) || /^[=v]*\d+(\.\d+)?$/.test(set)) return 'wildcard-range';
+    if (/>/.test(set) && !/</.test(set)) return 'unbounded-range';
+  }
+  if (exact && !EXACT.test(value)) return 'non-exact-version';
+  return null;
+}
+
+// Position of `"name":` inside the `"field": { ... }` block.
+function specPosition(content, field, name) {
+  const block = content.search(new RegExp(`"${field}"\\s*:\\s*\\{`));
+  if (block === -1) return null;
+  const index = content.indexOf(`"${name}"`, block);
+  return index === -1 ? null : lineColumnAt(content, index);
+}
+
+/**
+ * Check dependency specs in the root package.json and every workspace
+ * manifest (only the root with `workspaces: false`). With `exact`,
+ * `dependencies` must be pinned to exact versions.
+ * Returns { manifests: [file], findings }.
+ */
+function auditRanges(cwd, { exact = false, workspaces = true } = {}) {
+  const manifests = findManifests(cwd, { workspaces });
+  const findings = [];
+
+  for (const { file, content, manifest, error } of manifests) {
+    if (error) {
+      findings.push({ file, line: null, column: null, rule: 'invalid-manifest', snippet: makeSnippet(error) });
+      continue;
+    }
+    for (const field of RANGE_FIELDS) {
+      for (const [name, spec] of Object.entries(manifest[field] || {})) {
+        const rule = checkRange(spec, { exact: exact && field === 'dependencies' });
+        if (!rule) continue;
+        const at = specPosition(content, field, name);
+        findings.push({
+          file,
+          line: at ? at.line : null,
+          column: at ? at.column : null,
+          rule,
+          snippet: makeSnippet(`"${name}": ${JSON.stringify(spec)}`)
+        });
+      }
+    }
+  }
+
+  return { manifests: manifests.map(m => m.file), findings };
+}
+
+module.exports = { RANGE_FIELDS, checkRange, auditRanges };
@@ -0,0 +1,250 @@
+/**
+ * Rule catalog. One entry per gate, keyed by the gate name used in audit
+ * results. `id` is the stable SK-* identifier referenced in the README;
+ * `subRules` are the `rule` values the gate's findings carry.
+ */
+const RULES = [
+  {
+    gate: 'NO_ANY',
+    id: 'SK-INT-001',
+    pillar: 'INTEGRITY',
+    title: 'No explicit any',
+    rationale: 'The `any` type is a silent virus that disables the compiler. Every `any` turns off type checking for the value and for everything it flows into, so one escape hatch quietly spreads across the codebase.',
+    triggers: 'Any explicit `any` keyword in a .ts/.tsx file: annotations (`: any`), assertions (`as any`, `<any>`), arrays (`any[]`), generics (`Promise<any>`), unions and mapped types. Strings and comments are ignored. With --deep, the project is type-checked and also reports where `any` is inferred (a call such as `JSON.parse` whose result is used without a type, unannotated parameters and catch variables typed `any`), `@ts-ignore`, `@ts-nocheck`, `@ts-expect-error` without a reason, and non-null `!` assertions.',
+    subRules: [
+      'explicit-any', 'implicit-any', 'ts-ignore', 'ts-nocheck', 'ts-expect-error', 'non-null-assertion'
+    ],
+    compliant: [
+      'function parse(input: string): unknown { return JSON.parse(input); }',
+      'const items: Item[] = [];'
+    ],
+    nonCompliant: [
+      'function parse(input: string): any { return JSON.parse(input); }',
+      'const items: any[] = [];'
+    ],
+    fix: 'Use `unknown` and narrow it with type guards, describe the shape with an interface, or use a generic parameter. For untyped third-party values, validate at the boundary and return a typed result.'
+  },
+  {
+    gate: 'SECRETS',
+    id: 'SK-SEC-001',
+    pillar: 'SECURITY',
+    title: 'No hardcoded secrets',
+    rationale: 'Hardcoded secrets are a liability. Anything committed is readable by everyone with repository access, ends up in build artifacts and stays in git history after deletion.',
+    triggers: 'In .ts/.tsx/.js/.jsx/.json/.yml/.yaml/.pem/.key and .env* files: known credential formats (Stripe, AWS, GitHub, GitLab, Slack tokens and webhooks, OpenAI, Anthropic, Google, npm, SendGrid, Twilio, Shopify, DigitalOcean, PEM private keys, JWTs, database URLs with a password); a high-entropy literal assigned to a name like `password`, `token`, `secret` or `apiKey`; and any committed .env file other than a template such as .env.example. With --history, the same patterns run on lines added in every local commit.',
+    subRules: [
+      'stripe-live-key', 'stripe-test-key', 'stripe-restricted-key', 'aws-access-key', 'github-pat',
+      'github-fine-grained-pat', 'github-oauth', 'github-app-token', 'gitlab-pat', 'slack-token',
+      'slack-webhook', 'openai-key', 'anthropic-key', 'google-api-key', 'google-oauth-secret', 'npm-token',
+      'sendgrid-key', 'twilio-key', 'shopify-token', 'digitalocean-token', 'private-key', 'jwt',
+      'database-url-password', 'generic-secret', 'env-file'
+    ],
+    compliant: [
+      'const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);',
+      '.env.example with STRIPE_SECRET_KEY=your-key-here'
+    ],
+    nonCompliant: [
+      'const stripe = new Stripe("sk_live_...");',
+      // strictkit-ignore-next-line SECRETS -- non-compliant example, not a credential
+      'const db = { password: "Zx9#kLm2$Qp8vRt4" };',
+      // strictkit-ignore-next-line SECRETS -- non-compliant example, not a credential
+      '.env committed with DATABASE_URL=postgres://app:hunter2@db/app'
+    ],
+    fix: 'Revoke and rotate the leaked credential first, then load it from the environment or a secret manager. Removing the line alone does not un-leak it.'
+  },
+  {
+    gate: 'DOCKER',
+    id: 'SK-INF-001',
+    pillar: 'INFRA',
+    title: 'Pinned, hardened Docker images',
+    rationale: 'Unpinned Docker images create non-deterministic builds. `node` or `node:latest` resolves to a different image every time upstream publishes, so the same commit can build differently tomorrow. Only a digest is truly immutable: tags can be re-pushed. Containers running as root, unverified remote downloads and build contexts shipped without a .dockerignore turn a small bug into a full compromise.',
+    triggers: 'An `image:` with no tag or `:latest` in a compose file, Kubernetes manifest or Helm values file. In any Dockerfile (`Dockerfile`, `Dockerfile.*`, `*.dockerfile`): a `FROM` or `COPY --from` image with no tag, `:latest` or a tag from a build ARG with no default (or with no `@sha256:` digest under --require-digest); a final stage with no `USER` or `USER root`; `ADD` of a URL without `--checksum`; `COPY . .` with no .dockerignore.',
+    subRules: [
+      'unpinned-image', 'missing-digest', 'root-user', 'remote-add', 'copy-without-dockerignore', 'invalid-yaml'
+    ],
+    compliant: [
+      'FROM node:20-alpine',
+      'FROM node:20-alpine@sha256:<digest>',
+      'USER node',
+      'ADD --checksum=sha256:<digest> https://example.com/tool.tgz /opt/'
+    ],
+    nonCompliant: [
+      'FROM node',
+      'FROM node:latest',
+      'FROM node:${TAG}  # ARG TAG has no default',
+      'ADD https://example.com/tool.tgz /opt/'
+    ],
+    fix: 'Pin every base image to an explicit version tag, ideally with a `@sha256:` digest. End the final stage with a non-root `USER`, verify remote `ADD`s with `--checksum` (or download in a build stage and check the hash), and add a .dockerignore before copying the build context.'
+  },
+  {
+    gate: 'CONSOLE',
+    id: 'SK-INT-002',
+    pillar: 'INTEGRITY',
+    title: 'No debug leftovers in shipped code',
+    rationale: 'Leftover debug logging leaks internal state to browser consoles and server logs, and buries real signals in noise. A forgotten `debugger` freezes the page for anyone with devtools open, and `alert()` blocks the user.',
+    triggers: 'In non-test .ts/.tsx/.js/.jsx/.mjs/.cjs files, found on the AST: calls to and references of `console.log`, `debug`, `info`, `trace`, `dir`, `table`, `count`, `time*` and `group*`, including through `window.console`, `console["log"]`, aliases (`const log = console.log`) and destructuring (`const { log } = console`); `debugger` statements. In client code (`\'use client\'` modules and Pages Router components) also `console.error`, `console.warn` and `alert()`. Strings, comments, regex literals and template text are ignored.',
+    subRules: [
+      'console.log', 'console.debug', 'console.info', 'console.trace', 'console.dir', 'console.dirxml',
+      'console.table', 'console.count', 'console.countReset', 'console.time', 'console.timeLog',
+      'console.timeEnd', 'console.group', 'console.groupCollapsed', 'console.groupEnd', 'console.error',
+      'console.warn', 'debugger', 'alert'
+    ],
+    compliant: [
+      'logger.info("user created", { id });',
+      'console.error("fatal", err);  // in server code'
+    ],
+    nonCompliant: [
+      'console.log("user", user);',
+      'const { table } = console; table(rows);',
+      'debugger;',
+      '\'use client\'; alert("Saved!");'
+    ],
+    fix: 'Remove the debug statement, or route it through a proper logger with levels. In client components, report errors to your error tracker and show feedback in the UI instead of `alert()`.'
+  },
+  {
+    gate: 'LOCKFILE',
+    id: 'SK-INF-002',
+    pillar: 'INFRA',
+    title: 'Dependency tree frozen',
+    rationale: 'Without a lockfile every install resolves version ranges again, so CI and production can run dependencies nobody has reviewed.',
+    triggers: 'No lockfile in the project root; more than one of package-lock.json, yarn.lock, pnpm-lock.yaml and bun.lockb; a package-lock.json, yarn.lock or pnpm-lock.yaml out of sync with package.json dependencies; packages resolved from git, tarball URLs or `file:`; registry packages without an integrity hash.',
+    subRules: [
+      'competing-lockfiles', 'lockfile-out-of-sync', 'non-registry-source', 'missing-integrity',
+      'invalid-lockfile', 'invalid-manifest'
+    ],
+    compliant: [
+      'package.json + package-lock.json committed together, regenerated on every dependency change',
+      '"lodash": { "resolved": "https://registry.npmjs.org/lodash/-/lodash-4.17.21.tgz", "integrity": "sha512-..." }'
+    ],
+    nonCompliant: [
+      'package.json committed, lockfile in .gitignore',
+      'package-lock.json and yarn.lock both committed',
+      '"my-lib": "github:acme/my-lib"'
+    ],
+    fix: 'Pick one package manager and delete the other lockfiles, run its install so the lockfile matches package.json, publish git or tarball dependencies to a registry, commit the lockfile and use `npm ci` (or the equivalent) in CI.'
+  },
+  {
+    gate: 'DEP_RANGES',
+    id: 'SK-INF-003',
+    pillar: 'INFRA',
+    title: 'Bounded dependency ranges',
+    rationale: 'A lockfile only freezes what was installed last time. Loose ranges in package.json decide what the next `npm install` pulls in, and `*`, `latest` or git dependencies let an upstream publish or force-push change your build without a single line changing in your repository.',
+    triggers: 'In package.json and every workspace package.json: `*`, empty and `x` ranges (`1.x`, `1`), dist-tags such as `latest`, ranges with no upper bound (`>=1.0.0`), and git, GitHub or http(s) dependencies in dependencies, devDependencies or optionalDependencies. With `--exact-versions`, any `dependencies` entry that is not an exact version.',
+    subRules: [
+      'non-registry-dependency', 'dist-tag', 'wildcard-range', 'unbounded-range', 'non-exact-version',
+      'invalid-manifest'
+    ],
+    compliant: [
+      '"react": "^18.2.0"',
+      '"next": "14.1.0"'
+    ],
+    nonCompliant: [
+      '"react": "*"',
+      '"next": "latest"',
+      '"lodash": ">=4.0.0"',
+      '"my-lib": "github:acme/my-lib"'
+    ],
+    fix: 'Use a caret or tilde range on a published version, or an exact version. Publish git dependencies to a registry (a private one is fine) and depend on a version.'
+  },
+  {
+    gate: 'ADVISORIES',
+    id: 'SK-SEC-002',
+    pillar: 'SECURITY',
+    title: 'No known-vulnerable dependencies',
+    rationale: 'A frozen dependency tree is only as safe as the versions frozen into it. Known advisories are public, so exploiting them takes no skill; shipping an affected version is a choice nobody meant to make.',
+    triggers: 'A registry package resolved in package-lock.json, yarn.lock or pnpm-lock.yaml whose exact version is affected by an advisory in the local OSV database (.strictkit-advisories.json, a .strictkit-advisories/ directory or --advisories <path>) at or above --audit-level (default: high). Advisories without a severity always count. No network access is used.',
+    subRules: [
+      'known-vulnerability'
+    ],
+    compliant: [
+      '"node_modules/lodash": { "version": "4.17.21" }'
+    ],
+    nonCompliant: [
+      '"node_modules/lodash": { "version": "4.17.20" }  (GHSA-35jh-r3h4-6jhm, high)'
+    ],
+    fix: 'Upgrade to the fixed version shown with the finding (update the parent package for transitive dependencies, or use overrides/resolutions), then refresh the lockfile. Refresh the advisory database regularly from OSV.'
+  },
+  {
+    gate: 'CLIENT_ENV',
+    id: 'SK-SEC-003',
+    pillar: 'SECURITY',
+    title: 'No server secrets in the client bundle',
+    rationale: 'Next.js inlines every `NEXT_PUBLIC_*` variable and every next.config `env` entry into the JavaScript it sends to browsers. A secret that reaches client code is public, and a server variable read in a client component is a leak waiting for someone to rename it.',
+    triggers: 'A non-`NEXT_PUBLIC_` `process.env` read in a `\'use client\'` module or a Pages Router component (outside getServerSideProps/getStaticProps/getStaticPaths); a `NEXT_PUBLIC_*` variable named like a secret (SECRET, PASSWORD, PRIVATE, SERVICE_ROLE, DATABASE_URL, ...) in code or a .env file; a next.config `env` entry with a sensitive name or value, or `...process.env`. Only runs on Next.js projects.',
+    subRules: [
+      'server-env-in-client', 'secret-named-public-env', 'sensitive-config-env'
+    ],
+    compliant: [
+      'const res = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/items`);  // in a client component',
+      'export async function getServerSideProps() { return { props: await db(process.env.DATABASE_URL) }; }'
+    ],
+    nonCompliant: [
+      '\'use client\'; const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);',
+      'NEXT_PUBLIC_SUPABASE_SERVICE_ROLE_KEY=...',
+      'module.exports = { env: { STRIPE_SECRET_KEY: process.env.STRIPE_SECRET_KEY } };'
+    ],
+    fix: 'Keep secrets on the server: read them in Server Components, route handlers, server actions or data-fetching functions and pass only the result to the client. Rename variables that are truly public, and never expose secrets through next.config `env`.'
+  },
+  {
+    gate: 'NEXT_HARDENING',
+    id: 'SK-SEC-004',
+    pillar: 'SECURITY',
+    title: 'Hardened Next.js headers and config',
+    rationale: 'Next.js sends no security headers by default. Without a Content-Security-Policy one injected script owns the page, without Strict-Transport-Security the first request can be downgraded to HTTP, and without framing protection the app can be clickjacked. A wildcard image host turns the image optimizer into an open proxy.',
+    triggers: 'Evaluated statically from next.config.{js,mjs,ts} and middleware (or proxy) files, per Next.js app: no Content-Security-Policy, no Strict-Transport-Security or no X-Frame-Options/frame-ancestors in `headers()` or middleware; an `images.remotePatterns` hostname such as `**` that matches any domain (fail). `poweredByHeader` not set to false, `reactStrictMode: false` (or unset in a Pages Router app) and a config that cannot be evaluated statically only warn. Only runs on Next.js projects.',
+    subRules: [
+      'missing-csp', 'missing-hsts', 'missing-frame-protection', 'wildcard-remote-pattern', 'powered-by-header',
+      'react-strict-mode', 'unevaluated-config'
+    ],
+    compliant: [
+      'module.exports = { poweredByHeader: false, reactStrictMode: true, headers: async () => [{ source: "/(.*)", headers: securityHeaders }] };',
+      'images: { remotePatterns: [{ protocol: "https", hostname: "*.cdn.example.com" }] }'
+    ],
+    nonCompliant: [
+      'module.exports = { reactStrictMode: false };',
+      'images: { remotePatterns: [{ hostname: "**" }] }'
+    ],
+    fix: 'Return Content-Security-Policy, Strict-Transport-Security and X-Frame-Options (or CSP `frame-ancestors`) for every route from next.config `headers()`, or set them in middleware when the CSP needs a nonce. Set `poweredByHeader: false` and `reactStrictMode: true`, and list the exact image hosts you serve from.'
+  },
+  {
+    gate: 'TS_STRICT',
+    id: 'SK-INT-003',
+    pillar: 'INTEGRITY',
+    title: 'Strict compiler options',
+    rationale: 'NO_ANY only sees the `any` you write. With `strict` off, every unannotated parameter is an implicit `any` and `null` flows anywhere, so a project can be full of `any` and still pass. The compiler settings decide how much the type checker actually checks.',
+    triggers: 'The effective options of each tsconfig.json, following `extends` chains (relative and package-based): `strict` not true; a strict-family flag such as `noImplicitAny` or `strictNullChecks` set to false; `noUncheckedIndexedAccess`, `noImplicitOverride` or `noFallthroughCasesInSwitch` not enabled; `allowJs` without `checkJs` when the program includes JavaScript files. `skipLibCheck` while the program has its own .d.ts files and a config that cannot be read only warn. Solution-style configs (`"files": []` with `references`) are skipped.',
+    subRules: [
+      'strict-disabled', 'strict-flag-disabled', 'missing-strict-flag', 'unchecked-js', 'skip-lib-check',
+      'invalid-tsconfig'
+    ],
+    compliant: [
+      '{ "compilerOptions": { "strict": true, "noUncheckedIndexedAccess": true, "noImplicitOverride": true, "noFallthroughCasesInSwitch": true } }',
+      '{ "extends": "@tsconfig/strictest/tsconfig.json" }'
+    ],
+    nonCompliant: [
+      '{ "compilerOptions": { "strict": false } }',
+      '{ "compilerOptions": { "strict": true, "noImplicitAny": false } }',
+      '{ "compilerOptions": { "allowJs": true } }  // with .js files in the program'
+    ],
+    fix: 'Enable `strict` and the extra flags in the shared base config, or extend a strict preset such as @tsconfig/strictest. Fix the errors that surface instead of turning flags back off; for JavaScript files, add `checkJs` or convert them to TypeScript.'
+  }
+];
+
+// Sub-rule id -> its gate's rule. A sub-rule shared by two gates
+// (invalid-manifest) resolves to the first one.
+const BY_SUB_RULE = new Map();
+for (const rule of RULES) {
+  for (const sub of rule.subRules) if (!BY_SUB_RULE.has(sub.toLowerCase())) BY_SUB_RULE.set(sub.toLowerCase(), rule);
+}
+
+/**
+ * Look up a rule by gate name (`NO_ANY`), SK-* id (`SK-INT-001`) or the
+ * sub-rule id a finding carries (`missing-integrity`), case-insensitively.
+ * Returns undefined when nothing matches.
+ */
+function findRule(query) {
+  if (!query) return undefined;
+  const key = String(query).toUpperCase();
+  return RULES.find(r => r.gate === key || r.id === key) || BY_SUB_RULE.get(key.toLowerCase());
+}
+
+module.exports = { RULES, findRule };
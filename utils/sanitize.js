@@ -1,11 +1,15 @@
+// Both helpers keep the newlines of whatever they remove, so line numbers
+// in the sanitized output still match the original source.
+const keepNewlines = text => text.replace(/[^\n]/g, '');
+
 function stripComments(code) {
-  code = code.replace(/\/\*[\s\S]*?\*\//g, '');
+  code = code.replace(/\/\*[\s\S]*?\*\//g, keepNewlines);
   code = code.replace(/(?<!:)\/\/.*$/gm, '');
   return code;
 }
 
 function stripStrings(code) {
-  code = code.replace(/`[^`]*`/g, '""');
+  code = code.replace(/`[^`]*`/g, m => `""${keepNewlines(m)}`);
   code = code.replace(/"(?:[^"\\]|\\.)*"/g, '""');
   code = code.replace(/'(?:[^'\\]|\\.)*'/g, "''");
   return code;
@@ -0,0 +1,107 @@
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { RULES } = require('./rules');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+// GitHub code scanning ranks security alerts by this 0-10 score.
+const SECURITY_SEVERITY = { SECRETS: '9.0', CLIENT_ENV: '8.0', ADVISORIES: '7.0', NEXT_HARDENING: '5.0' };
+
+function toUri(file) {
+  return file.split(path.sep).join('/');
+}
+
+function sarifRule(rule) {
+  return {
+    id: rule.id,
+    name: rule.gate,
+    shortDescription: { text: rule.title },
+    fullDescription: { text: rule.rationale },
+    help: {
+      text: `${rule.triggers}\n\nFix: ${rule.fix}`,
+      markdown: [
+        rule.rationale,
+        `**Triggers:** ${rule.triggers}`,
+        `**Non-compliant:**\n\n${rule.nonCompliant.map(e => `    ${e}`).join('\n')}`,
+        `**Compliant:**\n\n${rule.compliant.map(e => `    ${e}`).join('\n')}`,
+        `**Fix:** ${rule.fix}`
+      ].join('\n\n')
+    },
+    defaultConfiguration: { level: 'error' },
+    properties: {
+      tags: [rule.pillar.toLowerCase()],
+      ...(SECURITY_SEVERITY[rule.gate] && { 'security-severity': SECURITY_SEVERITY[rule.gate] })
+    }
+  };
+}
+
+function location(file, line, column) {
+  const physicalLocation = {
+    artifactLocation: { uri: toUri(file), uriBaseId: '%SRCROOT%' }
+  };
+  if (line) physicalLocation.region = { startLine: line, startColumn: column || 1 };
+  return { physicalLocation };
+}
+
+/**
+ * Convert an audit report (the `--json` contract) into a SARIF 2.1.0 log.
+ * Each finding becomes one result. A failing gate with no findings (e.g. a
+ * missing lockfile) is reported once against package.json so code scanning
+ * still has a location to anchor it.
+ */
+function toSarif(report, version) {
+  const ruleIndex = new Map(RULES.map((r, i) => [r.gate, i]));
+  const results = [];
+
+  for (const result of report.results) {
+    const index = ruleIndex.get(result.gate);
+    if (index === undefined || result.status === 'PASS') continue;
+    const rule = RULES[index];
+    const level = result.status === 'FAIL' ? 'error' : 'warning';
+
+    if (result.findings.length > 0) {
+      for (const f of result.findings) {
+        results.push({
+          ruleId: rule.id,
+          ruleIndex: index,
+          level,
+          message: { text: `${rule.title}: ${f.rule} (${result.gate})` },
+          locations: [location(f.file, f.line, f.column)]
+        });
+      }
+    } else if (result.status === 'FAIL') {
+      results.push({
+        ruleId: rule.id,
+        ruleIndex: index,
+        level,
+        message: { text: result.message },
+        locations: [location('package.json')]
+      });
+    }
+  }
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'StrictKit',
+          version,
+          informationUri: 'https://www.strictkit.dev',
+          rules: RULES.map(sarifRule)
+        }
+      },
+      originalUriBaseIds: {
+        '%SRCROOT%': { uri: pathToFileURL(report.meta.path + path.sep).href }
+      },
+      invocations: [{
+        executionSuccessful: true,
+        endTimeUtc: report.meta.timestamp
+      }],
+      results
+    }]
+  };
+}
+
+module.exports = { toSarif };
@@ -0,0 +1,4 @@
+const { parentPort, workerData } = require('worker_threads');
+const { analyzeFiles } = require('./scanner');
+
+parentPort.postMessage(analyzeFiles(workerData.cwd, workerData.files, workerData.gates, workerData.cache));
@@ -0,0 +1,178 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { performance } = require('perf_hooks');
+const { Worker } = require('worker_threads');
+const { globSync } = require('glob');
+const { ANALYZERS } = require('./analyzers');
+const { cacheKey } = require('./cache');
+
+const SCAN_PATTERN = ['**/*.{ts,tsx,mts,js,jsx,mjs,cjs,json,yml,yaml,pem,key}', '**/.env*'];
+// Spinning up a worker (and loading TypeScript in it) costs more than
+// analyzing a few dozen files, so small projects stay on the main thread.
+const MIN_FILES_PER_WORKER = 50;
+
+const toPosix = f => f.split(path.sep).join('/');
+
+function defaultConcurrency() {
+  const cores = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+  return Math.max(1, Math.min(cores, 8));
+}
+
+function emptyResult(gates) {
+  const byGate = {};
+  for (const gate of gates) byGate[gate] = { files: [], findings: [], ms: 0, error: null };
+  return byGate;
+}
+
+/**
+ * Read each file once and run every interested analyzer on it, reusing
+ * findings from `cache` (see utils/cache.js) when the file is unchanged.
+ * Runs on the main thread or inside a scan worker. Returns the per-gate
+ * results plus the cache entries this run used.
+ */
+function analyzeFiles(cwd, files, gates, cache = null) {
+  const byGate = emptyResult(gates);
+  const analyzers = ANALYZERS.filter(a => gates.includes(a.gate));
+  const used = {};
+  const stats = { hits: 0, misses: 0 };
+
+  for (const file of files) {
+    const posix = toPosix(file);
+    const interested = analyzers.filter(a => a.accepts(posix));
+    if (interested.length === 0) continue;
+
+    let content;
+    try {
+      content = fs.readFileSync(path.join(cwd, file), 'utf8');
+    } catch (e) {
+      interested.forEach(a => { byGate[a.gate].error = byGate[a.gate].error || e.message; });
+      continue;
+    }
+
+    const key = cache && cacheKey(posix, content);
+    const cached = (cache && cache[key]) || {};
+
+    for (const analyzer of interested) {
+      const entry = byGate[analyzer.gate];
+      const id = `${analyzer.gate}@${analyzer.version}`;
+      const start = performance.now();
+      try {
+        let findings = cached[id];
+        if (findings) {
+          stats.hits++;
+        } else {
+          findings = analyzer.analyze(file, content);
+          stats.misses++;
+        }
+        if (cache) (used[key] = used[key] || {})[id] = findings;
+        entry.findings.push(...findings);
+        entry.files.push(file);
+      } catch (e) {
+        entry.error = entry.error || e.message;
+      }
+      entry.ms += performance.now() - start;
+    }
+  }
+  return { byGate, used, stats };
+}
+
+function runWorker(cwd, files, gates, cache) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(path.join(__dirname, 'scan-worker.js'), { workerData: { cwd, files, gates, cache } });
+    worker.once('message', resolve);
+    worker.once('error', reject);
+    worker.once('exit', code => {
+      if (code !== 0) reject(new Error(`Scan worker exited with code ${code}`));
+    });
+  });
+}
+
+/**
+ * Single-pass project scan: glob once, read each file once, hand it to every
+ * file-level gate. With `concurrency` > 1 and enough files, the work is split
+ * across worker threads. `filter` narrows the file list (e.g. to changed files).
+ * Pass a loaded `cache` to reuse findings for unchanged files.
+ *
+ * Resolves to { files, workers, wallMs, byGate: { GATE: { files, findings, ms, error } }, cache }
+ * where `ms` is the time spent in that gate's analyzer summed over all threads
+ * and `cache` holds { entries, hits, misses } for the entries this run used.
+ */
+async function scanProject({ cwd, ignore, filter = () => true, concurrency = defaultConcurrency(), gates = ANALYZERS.map(a => a.gate), cache = null }) {
+  const start = performance.now();
+  const files = globSync(SCAN_PATTERN, { cwd, ignore }).filter(filter).sort();
+  const workers = Math.max(1, Math.min(concurrency, Math.ceil(files.length / MIN_FILES_PER_WORKER)));
+
+  let byGate;
+  let entries = {};
+  const stats = { hits: 0, misses: 0 };
+  if (workers === 1) {
+    const result = analyzeFiles(cwd, files, gates, cache);
+    byGate = result.byGate;
+    entries = result.used;
+    Object.assign(stats, result.stats);
+  } else {
+    const chunks = Array.from({ length: workers }, () => []);
+    files.forEach((f, i) => chunks[i % workers].push(f));
+    const results = await Promise.all(chunks.map(chunk => runWorker(cwd, chunk, gates, cache)));
+    const parts = results.map(r => r.byGate);
+    for (const r of results) {
+      Object.assign(entries, r.used);
+      stats.hits += r.stats.hits;
+      stats.misses += r.stats.misses;
+    }
+
+    // Merge back into glob order so reports are deterministic.
+    const order = new Map(files.map((f, i) => [f, i]));
+    const byOrder = (a, b) => order.get(a.file) - order.get(b.file) || a.line - b.line || a.column - b.column;
+    byGate = emptyResult(gates);
+    for (const part of parts) {
+      for (const gate of gates) {
+        const entry = byGate[gate];
+        entry.files.push(...part[gate].files);
+        entry.findings.push(...part[gate].findings);
+        entry.ms += part[gate].ms;
+        entry.error = entry.error || part[gate].error;
+      }
+    }
+    for (const gate of gates) {
+      byGate[gate].files.sort((a, b) => order.get(a) - order.get(b));
+      byGate[gate].findings.sort(byOrder);
+    }
+  }
+
+  return { files: files.length, workers, wallMs: performance.now() - start, byGate, cache: { entries, ...stats } };
+}
+
+/**
+ * Re-analyze a handful of changed files in place and return the gates whose
+ * results may have changed. Deleted files simply drop out of `scan`.
+ */
+function rescanFiles(cwd, scan, files, gates = Object.keys(scan.byGate)) {
+  const changed = new Set(files);
+  const affected = new Set();
+
+  for (const gate of gates) {
+    const entry = scan.byGate[gate];
+    const before = entry.files.length;
+    entry.files = entry.files.filter(f => !changed.has(toPosix(f)));
+    entry.findings = entry.findings.filter(f => !changed.has(toPosix(f.file)));
+    if (entry.files.length !== before) affected.add(gate);
+  }
+
+  const existing = files.filter(f => fs.existsSync(path.join(cwd, f)));
+  const { byGate } = analyzeFiles(cwd, existing.map(f => f.split('/').join(path.sep)), gates);
+  const byName = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+  for (const gate of gates) {
+    const entry = scan.byGate[gate];
+    if (byGate[gate].files.length > 0) affected.add(gate);
+    entry.files.push(...byGate[gate].files);
+    entry.findings.push(...byGate[gate].findings);
+    entry.files.sort(byName);
+    entry.findings.sort((a, b) => byName(a.file, b.file) || a.line - b.line || a.column - b.column);
+    entry.error = entry.error || byGate[gate].error;
+  }
+  return affected;
+}
+
+module.exports = { scanProject, analyzeFiles, rescanFiles, defaultConcurrency };
@@ -0,0 +1,135 @@
+const path = require('path');
+const { lineColumnAt, makeSnippet, redact } = require('./findings');
+
+// Provider catalog: formats specific enough to flag wherever they appear.
+const SECRET_PATTERNS = [
+  { name: 'stripe-live-key', pattern: /sk_live_[a-zA-Z0-9]{24,}/g },
+  { name: 'stripe-test-key', pattern: /sk_test_[a-zA-Z0-9]{24,}/g },
+  { name: 'stripe-restricted-key', pattern: /rk_live_[a-zA-Z0-9]{24,}/g },
+  { name: 'aws-access-key', pattern: /AKIA[0-9A-Z]{16}/g },
+  { name: 'github-pat', pattern: /ghp_[a-zA-Z0-9]{36}/g },
+  { name: 'github-fine-grained-pat', pattern: /github_pat_[a-zA-Z0-9_]{82}/g },
+  { name: 'github-oauth', pattern: /gho_[a-zA-Z0-9]{36}/g },
+  { name: 'github-app-token', pattern: /gh[usr]_[a-zA-Z0-9]{36}/g },
+  { name: 'gitlab-pat', pattern: /glpat-[a-zA-Z0-9_-]{20}/g },
+  { name: 'slack-token', pattern: /xox[baprs]-[0-9a-zA-Z-]{10,}/g },
+  { name: 'slack-webhook', pattern: /https:\/\/hooks\.slack\.com\/services\/T[A-Z0-9]+\/B[A-Z0-9]+\/[a-zA-Z0-9]{24}/g },
+  { name: 'openai-key', pattern: /sk-[a-zA-Z0-9]{48}|sk-proj-[a-zA-Z0-9_-]{40,}/g },
+  { name: 'anthropic-key', pattern: /sk-ant-[a-z0-9]+-[a-zA-Z0-9_-]{40,}/g },
+  { name: 'google-api-key', pattern: /AIza[a-zA-Z0-9\-_]{35}/g },
+  { name: 'google-oauth-secret', pattern: /GOCSPX-[a-zA-Z0-9_-]{28}/g },
+  { name: 'npm-token', pattern: /npm_[a-zA-Z0-9]{36}/g },
+  { name: 'sendgrid-key', pattern: /SG\.[a-zA-Z0-9_-]{22}\.[a-zA-Z0-9_-]{43}/g },
+  { name: 'twilio-key', pattern: /\bSK[0-9a-f]{32}\b/g },
+  { name: 'shopify-token', pattern: /shp(?:at|ca|pa|ss)_[a-fA-F0-9]{32}/g },
+  { name: 'digitalocean-token', pattern: /do[opr]_v1_[a-f0-9]{64}/g },
+  // strictkit-ignore-next-line SECRETS -- the detector's own pattern, not a key
+  { name: 'private-key', pattern: /-----BEGIN .*PRIVATE KEY-----/g },
+  { name: 'jwt', pattern: /eyJ[a-zA-Z0-9_-]{20,}\.eyJ[a-zA-Z0-9_-]{20,}\./g },
+  // Only the password is sensitive; group 1 is what gets redacted.
+  { name: 'database-url-password', pattern: /\b(?:postgres(?:ql)?|mysql|mariadb|mongodb(?:\+srv)?|rediss?|amqps?|mssql):\/\/[^:@\s/'"`]+:([^@\s/'"`]+)@/g }
+];
+
+// --- CONTEXT & ENTROPY ---
+
+// Variable / key names that hold credentials (`password`, `DB_PASS`, `apiKey`, `client_secret`, ...).
+const SENSITIVE_NAME = /(pass(word|wd)?|pwd|secret|token|(api|access|secret|private|auth)[_-]?key|credentials?)$/i;
+// Values that are obviously not real: templates, env lookups, masks, docs.
+const PLACEHOLDER = /^(x+|\*+|\.+|-+|pass(word)?)$|\$\{|\{\{|<[^>]*>|process\.env|example|placeholder|changeme|change_me|your[_-]|dummy|redacted|sample|todo/i;
+
+// `name = "value"`, `name: 'value'`, `"name": "value"` in code and JSON.
+const QUOTED_ASSIGNMENT = /([A-Za-z_$][\w$.-]*)["']?\s*(?::|=|:=|=>)\s*(["'`])([^"'`\n\\]+)\2/g;
+// `NAME=value` / `name: value` lines in .env and YAML files, quoted or not.
+const LINE_ASSIGNMENT = /^[ \t-]*(?:export\s+)?["']?([A-Za-z_][\w.-]*)["']?[ \t]*[:=][ \t]*(?:(["'])([^"'\n]+)\2|([^\s"'#]+))/gm;
+
+const MIN_SECRET_LENGTH = 12;
+const MIN_ENTROPY = 3.5;
+
+/**
+ * Shannon entropy of a string in bits per character. Random tokens score
+ * ~4-6; words, paths and identifiers stay below ~3.5.
+ */
+function shannonEntropy(value) {
+  const counts = new Map();
+  for (const ch of value) counts.set(ch, (counts.get(ch) || 0) + 1);
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / value.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+/**
+ * Whether a literal assigned to a credential-like name looks like a real
+ * secret: long enough, random enough, mixing letters with digits or symbols,
+ * and not a placeholder.
+ */
+function looksLikeSecret(value) {
+  return value.length >= MIN_SECRET_LENGTH &&
+    !PLACEHOLDER.test(value) &&
+    /[a-zA-Z]/.test(value) && /[^a-zA-Z]/.test(value) &&
+    shannonEntropy(value) >= MIN_ENTROPY;
+}
+
+// --- FILES ---
+
+const ENV_FILE = /^\.env(\..+)?$/;
+// Committed on purpose: documents the variables without real values.
+const ENV_TEMPLATE = /^\.env\.(example|sample|template|dist|defaults)$/;
+
+/** `.env`, `.env.local`, `.env.production`, ... but not `.env.example` and friends. */
+function isEnvFile(file) {
+  const name = path.posix.basename(file);
+  return ENV_FILE.test(name) && !ENV_TEMPLATE.test(name);
+}
+
+/**
+ * Find hardcoded credentials in a file: provider patterns anywhere, plus
+ * high-entropy literals assigned to credential-like names (`generic-secret`).
+ * A `.env` file (other than a template such as `.env.example`) is itself a
+ * finding (`env-file`). Snippets are redacted so the secret itself never
+ * reaches reports or logs.
+ */
+function findSecrets(filePath, content) {
+  const lines = content.split('\n');
+  const findings = [];
+  const seen = new Set();
+  const name = path.posix.basename(filePath.split(path.sep).join('/'));
+
+  const report = (index, rule, secret) => {
+    const { line, column } = lineColumnAt(content, index);
+    if (seen.has(line)) return;
+    seen.add(line);
+    findings.push({
+      file: filePath,
+      line,
+      column,
+      rule,
+      snippet: makeSnippet(lines[line - 1].split(secret).join(redact(secret)))
+    });
+  };
+
+  if (isEnvFile(name)) {
+    findings.push({ file: filePath, line: null, column: null, rule: 'env-file', snippet: `${name} is committed; commit a .env.example instead` });
+  }
+
+  for (const { name: rule, pattern } of SECRET_PATTERNS) {
+    for (const match of content.matchAll(pattern)) {
+      if (match[1] !== undefined && PLACEHOLDER.test(match[1])) continue;
+      report(match.index, rule, match[1] !== undefined ? match[1] : match[0]);
+    }
+  }
+
+  const assignment = ENV_FILE.test(name) || /\.ya?ml$/.test(name) ? LINE_ASSIGNMENT : QUOTED_ASSIGNMENT;
+  for (const match of content.matchAll(assignment)) {
+    const [, key, , quoted, bare] = match;
+    const value = quoted || bare;
+    if (!SENSITIVE_NAME.test(key.split('.').pop()) || !looksLikeSecret(value)) continue;
+    report(match.index + match[0].lastIndexOf(value), 'generic-secret', value);
+  }
+
+  return findings.sort((a, b) => (a.line || 0) - (b.line || 0) || a.column - b.column);
+}
+
+module.exports = { SECRET_PATTERNS, shannonEntropy, looksLikeSecret, isEnvFile, findSecrets };
@@ -0,0 +1,81 @@
+const path = require('path');
+const { extractComments, isScriptFile } = require('./ast-analyzer');
+
+const DIRECTIVE = /strictkit-(ignore-next-line|disable)\b(.*)/;
+// Files whose comments are whole lines starting with `#`.
+const DOCKERFILE = /^Dockerfile|\.dockerfile$/i;
+const YAML_FILE = /\.ya?ml$/i;
+const ENV_FILE = /^\.env(\.|$)/;
+
+function hashComments(content) {
+  return content.split('\n')
+    .map((text, i) => ({ line: i + 1, endLine: i + 1, text: text.trim() }))
+    .filter(c => c.text.startsWith('#'));
+}
+
+/**
+ * Parse one directive comment body: `<kind> GATE[,GATE...] -- reason`.
+ * Returns { kind, gates, reason } or { problem } when malformed.
+ */
+function parseDirective(kind, rest, knownGates) {
+  const body = rest.replace(/\*\/\s*$/, '').trim();
+  const sep = body.indexOf('--');
+  const gatePart = (sep === -1 ? body : body.slice(0, sep)).trim();
+  const reason = sep === -1 ? '' : body.slice(sep + 2).trim();
+  const gates = gatePart.split(/[\s,]+/).filter(Boolean).map(g => g.toUpperCase());
+
+  if (gates.length === 0) return { problem: 'Missing gate name.' };
+  const unknown = gates.find(g => !knownGates.includes(g));
+  if (unknown) return { problem: `Unknown gate: ${unknown}.` };
+  if (!reason) return { problem: 'Missing justification after "--".' };
+  return { kind, gates, reason };
+}
+
+/**
+ * Read suppression directives from a file's comments:
+ *
+ *   // strictkit-ignore-next-line NO_ANY -- external API returns untyped JSON
+ *   /* strictkit-disable SECRETS -- fixture keys, revoked *\/
+ *   # strictkit-ignore-next-line DOCKER -- sidecar image pinned by the platform team
+ *
+ * `#` comments are read in Dockerfiles, YAML and .env files.
+ * Directives without a justification (or with an unknown gate) are returned
+ * in `invalid` and suppress nothing.
+ */
+function parseSuppressions(file, content, knownGates) {
+  const base = path.basename(file);
+  let comments = [];
+  if (isScriptFile(file)) comments = extractComments(file, content);
+  else if (DOCKERFILE.test(base) || YAML_FILE.test(base) || ENV_FILE.test(base)) comments = hashComments(content);
+
+  const nextLine = new Map();
+  const fileLevel = [];
+  const invalid = [];
+
+  for (const comment of comments) {
+    const match = comment.text.match(DIRECTIVE);
+    if (!match) continue;
+    const directive = parseDirective(match[1], match[2], knownGates);
+    if (directive.problem) {
+      invalid.push({ file, line: comment.line, problem: directive.problem });
+    } else if (directive.kind === 'disable') {
+      fileLevel.push({ ...directive, line: comment.line });
+    } else {
+      const target = comment.endLine + 1;
+      nextLine.set(target, [...(nextLine.get(target) || []), { ...directive, line: comment.line }]);
+    }
+  }
+
+  return { nextLine, fileLevel, invalid };
+}
+
+/**
+ * Return the directive that suppresses `finding` for `gate`, if any.
+ */
+function findSuppression(suppressions, gate, finding) {
+  const covers = d => d.gates.includes(gate);
+  return suppressions.fileLevel.find(covers)
+    || (suppressions.nextLine.get(finding.line) || []).find(covers);
+}
+
+module.exports = { parseSuppressions, findSuppression };
@@ -79,6 +79,7 @@ function trackAudit(result, ruleIds) {
     },
     timeout: 1500 
   }, (res) => {
+    // strictkit-ignore-next-line CONSOLE -- STRICTKIT_DEBUG output
     if (isDebug) console.log(`[Telemetry] Status: ${res.statusCode}`);
     res.on('data', () => {}); // Consumir stream
   });
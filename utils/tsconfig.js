@@ -0,0 +1,178 @@
+const fs = require('fs');
+const path = require('path');
+const ts = require('typescript');
+const { globSync } = require('glob');
+const { makeSnippet } = require('./findings');
+
+// The flags `strict: true` turns on; each can still be switched off on its own.
+const STRICT_FAMILY = [
+  'noImplicitAny', 'noImplicitThis', 'strictNullChecks', 'strictFunctionTypes', 'strictBindCallApply',
+  'strictPropertyInitialization', 'strictBuiltinIteratorReturn', 'alwaysStrict', 'useUnknownInCatchVariables'
+];
+// Not part of `strict`, but they close holes it leaves open.
+const REQUIRED_FLAGS = ['noUncheckedIndexedAccess', 'noImplicitOverride', 'noFallthroughCasesInSwitch'];
+// Worth a warning, not a failed build.
+const ADVISORY_RULES = new Set(['skip-lib-check', 'invalid-tsconfig']);
+const NO_INPUTS = 18003;
+const JS_FILE = /\.(js|jsx|mjs|cjs)$/;
+const DECLARATION_FILE = /\.d\.[mc]?ts$/;
+
+const message = diagnostic => ts.flattenDiagnosticMessageText(diagnostic.messageText, ' ');
+
+// --- CONFIG CHAIN ---
+
+/**
+ * Reads tsconfig files once each, with their direct `extends` resolved the
+ * way TypeScript resolves them (relative paths and packages in node_modules).
+ */
+function createConfigReader() {
+  const cache = new Map();
+
+  function resolveExtends(configPath, specifier) {
+    const probe = ts.parseJsonText(configPath, JSON.stringify({ extends: specifier }));
+    ts.parseJsonSourceFileConfigFileContent(probe, ts.sys, path.dirname(configPath), undefined, configPath);
+    return probe.extendedSourceFiles && probe.extendedSourceFiles[0];
+  }
+
+  return function read(configPath) {
+    if (!cache.has(configPath)) {
+      const sourceFile = ts.readJsonConfigFile(configPath, ts.sys.readFile);
+      const { config } = ts.parseConfigFileTextToJson(configPath, sourceFile.text);
+      const raw = config || {};
+      const specifiers = [].concat(raw.extends || []).filter(s => typeof s === 'string');
+      cache.set(configPath, {
+        sourceFile,
+        compilerOptions: raw.compilerOptions || {},
+        extends: specifiers.map(s => resolveExtends(configPath, s)).filter(Boolean)
+      });
+    }
+    return cache.get(configPath);
+  };
+}
+
+// The config that decides `option` for `configPath`: the file itself, else
+// the last of its `extends` (later entries win), recursively. null when unset.
+function optionOwner(read, configPath, option, seen = new Set()) {
+  if (seen.has(configPath) || !fs.existsSync(configPath)) return null;
+  seen.add(configPath);
+  const config = read(configPath);
+  if (Object.prototype.hasOwnProperty.call(config.compilerOptions, option)) return configPath;
+  for (const parent of [...config.extends].reverse()) {
+    const owner = optionOwner(read, parent, option, seen);
+    if (owner) return owner;
+  }
+  return null;
+}
+
+// Position of `compilerOptions.<option>` (or of `compilerOptions`) in a tsconfig.
+function optionPosition(sourceFile, option) {
+  const property = (object, name) => object && ts.isObjectLiteralExpression(object) &&
+    object.properties.find(p => ts.isPropertyAssignment(p) && ts.isStringLiteral(p.name) && p.name.text === name);
+  const root = sourceFile.statements[0] && sourceFile.statements[0].expression;
+  const compilerOptions = property(root, 'compilerOptions');
+  const node = (compilerOptions && property(compilerOptions.initializer, option)) || compilerOptions;
+  if (!node) return { line: 1, column: 1 };
+  const { line, character } = sourceFile.getLineAndCharacterOfPosition(node.getStart(sourceFile));
+  return { line: line + 1, column: character + 1 };
+}
+
+// --- AUDIT ---
+
+/**
+ * Resolve the effective compiler options of one tsconfig, following its
+ * `extends` chain, and report what weakens type checking:
+ *   strict-disabled        `strict` is not true
+ *   strict-flag-disabled   a flag from the strict family is set to false
+ *   missing-strict-flag    noUncheckedIndexedAccess, noImplicitOverride or
+ *                          noFallthroughCasesInSwitch is not enabled
+ *   unchecked-js           allowJs without checkJs, with JavaScript in the program
+ *   skip-lib-check         skipLibCheck while the program has its own .d.ts files
+ *   invalid-tsconfig       the config (or something it extends) cannot be read
+ * Each finding points at the config that sets the option, which may be an
+ * extended base config; `tsconfig` names the config that was audited.
+ */
+function auditTsconfig(cwd, file, read = createConfigReader()) {
+  const configPath = path.join(cwd, file);
+  const relative = p => path.relative(cwd, p).split(path.sep).join('/');
+  const { sourceFile } = read(configPath);
+  const parsed = ts.parseJsonSourceFileConfigFileContent(sourceFile, ts.sys, path.dirname(configPath), undefined, configPath);
+  const findings = [];
+
+  const push = (rule, option, text, owner = optionOwner(read, configPath, option)) => {
+    const at = owner || configPath;
+    const inherited = at === configPath ? '' : `, inherited by ${file}`;
+    findings.push({
+      file: relative(at),
+      ...optionPosition(read(at).sourceFile, option),
+      rule,
+      option,
+      tsconfig: file,
+      snippet: makeSnippet(`${text}${inherited}`)
+    });
+  };
+
+  const errors = parsed.errors.filter(d => d.code !== NO_INPUTS);
+  if (errors.length > 0) {
+    findings.push({ file, line: null, column: null, rule: 'invalid-tsconfig', tsconfig: file, snippet: makeSnippet(message(errors[0])) });
+    return findings;
+  }
+  const options = parsed.options;
+
+  if (options.strict !== true) push('strict-disabled', 'strict', `strict: ${options.strict === false ? 'false' : 'not enabled'}`);
+  for (const flag of STRICT_FAMILY) {
+    if (options[flag] === false) push('strict-flag-disabled', flag, `${flag}: false`);
+  }
+  for (const flag of REQUIRED_FLAGS) {
+    if (options[flag] !== true) push('missing-strict-flag', flag, `${flag}: ${options[flag] === false ? 'false' : 'not enabled'}`);
+  }
+
+  const own = parsed.fileNames.filter(f => !f.split(/[\\/]/).includes('node_modules'));
+  const js = own.filter(f => JS_FILE.test(f)).length;
+  if (options.allowJs && !options.checkJs && js > 0) {
+    push('unchecked-js', 'allowJs', `allowJs: true without checkJs (${js} unchecked .js file(s))`);
+  }
+  const declarations = own.filter(f => DECLARATION_FILE.test(f)).length;
+  if (options.skipLibCheck && declarations > 0) {
+    push('skip-lib-check', 'skipLibCheck', `skipLibCheck: true (${declarations} own .d.ts file(s) unchecked)`);
+  }
+
+  return findings;
+}
+
+// Solution-style configs (`"files": []` with `references`) compile nothing themselves.
+function isSolutionConfig(sourceFile) {
+  const { config } = ts.parseConfigFileTextToJson(sourceFile.fileName, sourceFile.text);
+  return Boolean(config && Array.isArray(config.files) && config.files.length === 0 && config.references);
+}
+
+/**
+ * Every tsconfig.json in the project that compiles files itself, sorted.
+ * `isIgnored` drops paths the project's ignore files exclude.
+ */
+function findTsconfigs(cwd, { ignore = [], isIgnored = () => false } = {}, read = createConfigReader()) {
+  return globSync('**/tsconfig.json', { cwd, ignore, posix: true, nodir: true }).sort()
+    .filter(file => !isIgnored(file) && !isSolutionConfig(read(path.join(cwd, file)).sourceFile));
+}
+
+/**
+ * Audit every tsconfig.json in the project. A base config shared by several
+ * projects is reported once per weakened option.
+ * Returns { files: [audited tsconfig], findings }.
+ */
+function auditTsconfigs(cwd, { ignore = [], isIgnored } = {}) {
+  const read = createConfigReader();
+  const files = findTsconfigs(cwd, { ignore, isIgnored }, read);
+  const seen = new Set();
+  const findings = [];
+  for (const file of files) {
+    for (const finding of auditTsconfig(cwd, file, read)) {
+      const key = `${finding.file}\0${finding.rule}\0${finding.option}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      findings.push(finding);
+    }
+  }
+  return { files, findings };
+}
+
+module.exports = { STRICT_FAMILY, REQUIRED_FLAGS, ADVISORY_RULES, findTsconfigs, auditTsconfig, auditTsconfigs };
@@ -0,0 +1,140 @@
+const path = require('path');
+const ts = require('typescript');
+const { makeSnippet } = require('./findings');
+const { extractComments } = require('./ast-analyzer');
+const { findTsconfigs } = require('./tsconfig');
+
+// `// @ts-ignore`, `/* @ts-nocheck */`, ... where the compiler reads them: at the start of a comment.
+const DIRECTIVE = /^(?:\/\/\/?|\/\*+)\s*@(ts-ignore|ts-nocheck|ts-expect-error)\b([^\n]*)/;
+// Options for files no tsconfig covers.
+const FALLBACK_OPTIONS = { target: ts.ScriptTarget.ES2022, module: ts.ModuleKind.ESNext, moduleResolution: ts.ModuleResolutionKind.Bundler, jsx: ts.JsxEmit.Preserve, skipLibCheck: true };
+
+const isAny = type => Boolean(type && type.flags & ts.TypeFlags.Any);
+
+// Where a value ends up, past parentheses, `await` and `!`.
+function consumer(node) {
+  let parent = node.parent;
+  while (parent && (ts.isParenthesizedExpression(parent) || ts.isAwaitExpression(parent) || ts.isNonNullExpression(parent))) parent = parent.parent;
+  return parent;
+}
+
+// The developer already decided what the value is (or that it is unused):
+// an assertion, an annotated variable or return type, or a discarded result.
+function explicitlyHandled(parent) {
+  if (ts.isReturnStatement(parent)) parent = ts.getContainingFunction(parent) || parent;
+  return ts.isAsExpression(parent) || ts.isTypeAssertionExpression(parent) || ts.isSatisfiesExpression(parent) ||
+    ts.isExpressionStatement(parent) || ts.isVoidExpression(parent) ||
+    ((ts.isVariableDeclaration(parent) || ts.isPropertyDeclaration(parent) || ts.isFunctionLike(parent)) && Boolean(parent.type));
+}
+
+/**
+ * Where `any` enters a file, according to the type checker. Values derived
+ * from an `any` that is already reported (a call on an `any`, a callback
+ * passed to one) are not reported again.
+ *   implicit-any   a call whose declared return type is `any` (`JSON.parse`,
+ *                  untyped libraries) used without a type; an unannotated
+ *                  parameter or catch variable typed `any`
+ */
+function findImplicitAny(sourceFile, checker) {
+  const findings = [];
+  const report = node => findings.push({ node, rule: 'implicit-any' });
+
+  function visit(node) {
+    if (ts.isCallExpression(node) && isAny(checker.getTypeAtLocation(node))) {
+      const signature = checker.getResolvedSignature(node);
+      const declaration = signature && signature.declaration;
+      const source = !isAny(checker.getTypeAtLocation(node.expression)) &&
+        !node.arguments.some(arg => isAny(checker.getTypeAtLocation(arg))) &&
+        // A project function declared `: any` is already an explicit-any finding.
+        !(declaration && declaration.type && declaration.type.kind === ts.SyntaxKind.AnyKeyword && !declaration.getSourceFile().isDeclarationFile);
+      if (source && !explicitlyHandled(consumer(node))) report(node);
+    } else if (ts.isParameter(node) && !node.type && ts.isIdentifier(node.name) && node.name.text !== 'this' &&
+      isAny(checker.getTypeAtLocation(node.name))) {
+      const fn = node.parent;
+      const callback = ts.isArrowFunction(fn) || ts.isFunctionExpression(fn);
+      const call = callback && ts.isCallExpression(fn.parent) ? fn.parent : null;
+      const inherited = (callback && isAny(checker.getContextualType(fn))) || (call && isAny(checker.getTypeAtLocation(call.expression)));
+      if (!inherited) report(node);
+    } else if (ts.isVariableDeclaration(node) && ts.isCatchClause(node.parent) && !node.type && isAny(checker.getTypeAtLocation(node.name))) {
+      report(node);
+    }
+    ts.forEachChild(node, visit);
+  }
+
+  visit(sourceFile);
+  return findings;
+}
+
+/**
+ * Everything in one type-checked file that turns checking off or around:
+ * implicit `any` (see findImplicitAny), `@ts-ignore`, `@ts-nocheck`,
+ * `@ts-expect-error` with no reason after it, and non-null `!` assertions.
+ * Returns findings with 1-based line/column.
+ */
+function findTypeEscapes(filePath, sourceFile, checker) {
+  const content = sourceFile.text;
+  const lines = content.split('\n');
+  const findings = [];
+  const push = (line, column, rule) => findings.push({ file: filePath, line, column, rule, snippet: makeSnippet(lines[line - 1]) });
+  const at = pos => {
+    const { line, character } = sourceFile.getLineAndCharacterOfPosition(pos);
+    return [line + 1, character + 1];
+  };
+
+  for (const { node, rule } of findImplicitAny(sourceFile, checker)) push(...at(node.getStart(sourceFile)), rule);
+
+  for (const comment of extractComments(filePath, content)) {
+    const match = comment.text.match(DIRECTIVE);
+    if (!match) continue;
+    const [, directive, rest] = match;
+    const reason = rest.replace(/\*\/\s*$/, '').replace(/^[\s:-]+/, '').trim();
+    if (directive === 'ts-expect-error' && reason) continue;
+    const column = lines[comment.line - 1].indexOf(comment.text.split('\n')[0]) + 1;
+    push(comment.line, column || 1, directive);
+  }
+
+  (function visit(node) {
+    if (ts.isNonNullExpression(node)) push(...at(node.getEnd() - 1), 'non-null-assertion');
+    ts.forEachChild(node, visit);
+  })(sourceFile);
+
+  return findings.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+/**
+ * Build a real `ts.Program` for each tsconfig.json in the project (and one
+ * with default options for files none of them covers) and report type
+ * escapes in `files`, the project-relative posix paths to check. Each file
+ * is checked once, by the first tsconfig that includes it.
+ * Returns { files: [checked file], findings }.
+ */
+function typeCheckProject(cwd, { ignore = [], isIgnored, files = [] } = {}) {
+  const wanted = new Set(files);
+  const checked = new Set();
+  const findings = [];
+  const relative = p => path.relative(cwd, p).split(path.sep).join('/');
+
+  const check = (rootNames, options) => {
+    const program = ts.createProgram({ rootNames, options: { ...options, noEmit: true } });
+    const checker = program.getTypeChecker();
+    for (const sourceFile of program.getSourceFiles()) {
+      const file = relative(sourceFile.fileName);
+      if (!wanted.has(file) || checked.has(file)) continue;
+      checked.add(file);
+      findings.push(...findTypeEscapes(file, sourceFile, checker));
+    }
+  };
+
+  const host = { ...ts.sys, onUnRecoverableConfigFileDiagnostic: () => {} };
+  for (const config of findTsconfigs(cwd, { ignore, isIgnored })) {
+    if ([...wanted].every(f => checked.has(f))) break;
+    const parsed = ts.getParsedCommandLineOfConfigFile(path.join(cwd, config), {}, host);
+    if (parsed) check(parsed.fileNames, parsed.options);
+  }
+  const rest = [...wanted].filter(f => !checked.has(f));
+  if (rest.length > 0) check(rest.map(f => path.join(cwd, f)), FALLBACK_OPTIONS);
+
+  return { files: [...checked].sort(), findings };
+}
+
+module.exports = { findTypeEscapes, typeCheckProject };
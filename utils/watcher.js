@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+
+const toPosix = f => f.split(path.sep).join('/');
+const NATIVE_RECURSIVE = ['darwin', 'win32'].includes(process.platform);
+
+function listDirectories(cwd, isIgnored, rel = '') {
+  const dirs = [rel];
+  let entries = [];
+  try {
+    entries = fs.readdirSync(path.join(cwd, rel), { withFileTypes: true });
+  } catch (e) { return dirs; }
+  for (const entry of entries) {
+    if (!entry.isDirectory()) continue;
+    const child = rel ? `${rel}/${entry.name}` : entry.name;
+    // `dir/**` patterns match what is inside a directory, not the directory itself.
+    if (!isIgnored(`${child}/`) && !isIgnored(`${child}/.`)) dirs.push(...listDirectories(cwd, isIgnored, child));
+  }
+  return dirs;
+}
+
+/**
+ * Watch a project tree and call `onChange(files)` with the set of changed
+ * posix-relative paths, debounced so a burst of saves triggers one re-audit.
+ * Uses a recursive fs.watch on macOS and Windows, where it is native. Elsewhere
+ * (Node emulates recursion on Linux by walking and polling the whole tree,
+ * ignored folders included) it uses one watcher per non-ignored directory,
+ * adding watchers as directories are created.
+ */
+function watchProject(cwd, { isIgnored, onChange, debounceMs = 100 }) {
+  let pending = new Set();
+  let timer = null;
+  const watchers = new Map();
+
+  function queue(rel) {
+    if (!rel || isIgnored(rel)) return;
+    pending.add(rel);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const files = pending;
+      pending = new Set();
+      onChange(files);
+    }, debounceMs);
+  }
+
+  function watchDirectory(dir) {
+    if (watchers.has(dir)) return;
+    try {
+      const watcher = fs.watch(path.join(cwd, dir), (event, filename) => {
+        if (!filename) return;
+        const rel = dir ? `${dir}/${filename}` : filename.toString();
+        // A created directory is reported through the files inside it.
+        if (event !== 'rename' || !watchCreated(rel)) queue(rel);
+      });
+      watcher.on('error', () => {
+        watcher.close();
+        watchers.delete(dir);
+      });
+      watchers.set(dir, watcher);
+    } catch (err) { /* directory vanished */ }
+  }
+
+  // A new directory (or one moved in) may already hold files by the time
+  // its watcher starts: report those too. Returns whether `rel` is a directory.
+  function watchCreated(rel) {
+    let stat = null;
+    try {
+      stat = fs.statSync(path.join(cwd, rel));
+    } catch (e) { return false; }
+    if (!stat.isDirectory()) return false;
+    if (watchers.has(rel) || isIgnored(`${rel}/`) || isIgnored(`${rel}/.`)) return true;
+    for (const dir of listDirectories(cwd, isIgnored, rel)) {
+      watchDirectory(dir);
+      try {
+        for (const entry of fs.readdirSync(path.join(cwd, dir), { withFileTypes: true })) {
+          if (entry.isFile()) queue(`${dir}/${entry.name}`);
+        }
+      } catch (e) { /* directory vanished */ }
+    }
+    return true;
+  }
+
+  if (NATIVE_RECURSIVE) {
+    watchers.set('', fs.watch(cwd, { recursive: true }, (event, filename) => {
+      if (filename) queue(toPosix(filename.toString()));
+    }));
+  } else {
+    for (const dir of listDirectories(cwd, isIgnored)) watchDirectory(dir);
+  }
+
+  return {
+    close() {
+      clearTimeout(timer);
+      watchers.forEach(w => w.close());
+    }
+  };
+}
+
+module.exports = { watchProject };